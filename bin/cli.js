@@ -8,28 +8,64 @@
 /**
  * cli.js – command-line entry point for comprehensible-wsdl.
  *
- * Reads a WSDL file (or stdin when the path argument is "-"), converts it to
- * a readable HTML5 page, and writes the result to stdout or a file.
+ * Reads a WSDL file, URL (e.g. "https://host/Service.svc?wsdl"), ZIP/JAR
+ * archive ("bundle.zip" or "bundle.zip!/wsdl/Service.wsdl") or stdin when the
+ * argument is "-", converts it to a readable HTML5 page – or, with
+ * --format json, to the resolved model as JSON (see json.js) – and writes the
+ * result to stdout or a file. References that do not resolve (see
+ * diagnose.js) are printed to stderr as warnings; with --strict they are fatal
+ * and nothing is written.
  *
  * Usage:
  *   comprehensible-wsdl [options] <wsdl-file>
+ *   comprehensible-wsdl [options] <url>     # fetch, e.g. a ?wsdl endpoint
+ *   comprehensible-wsdl [options] <archive>[!/<entry>]
  *   comprehensible-wsdl [options] -         # read from stdin
  *
+ * Relative imports resolve against the file's directory, inside the archive,
+ * or against the URL itself (so "?xsd=1" or "../types.xsd" work for fetched
+ * documents). For stdin they resolve against the working directory unless
+ * --base-url is given.
+ *
  * Options:
- *   -o, --output <file>   Write HTML to file instead of stdout
+ *   -o, --output <file>   Write the output to file instead of stdout
+ *   --format <format>     Output format: html (default) or json
  *   --title <string>      Override page <title>
  *   --inline-css          Fetch edible.css and embed it inline (offline output)
+ *   --catalog <file>      Redirect imports via an XML catalog or JSON mapping
+ *   --strict              Exit non-zero when a reference does not resolve
+ *   --import-graph <file> Write the import/include graph; the format follows
+ *                         the extension: .dot/.gv, .mmd/.mermaid or .json
+ *   --base-url <url>      Resolve relative imports against this URL
+ *   --source-hints        Note the file and line each type is defined at
+ *   --concurrency <n>     Fetch at most n imported documents at once (default 8)
+ *   --cache-dir <dir>     Cache HTTP responses in dir, revalidated on each run
  *   -h, --help            Show help
  *   -V, --version         Show version
  */
 
 import { readFileSync, writeFileSync } from 'node:fs';
 import { readFile } from 'node:fs/promises';
-import { dirname, resolve } from 'node:path';
-import { Command } from 'commander';
-import { loadWsdl } from '../src/load.js';
+import { extname } from 'node:path';
+import { Command, InvalidArgumentError } from 'commander';
+import { loadCatalog } from '../src/catalog.js';
+import { diagnose } from '../src/diagnose.js';
+import { createGraph, formatGraph } from '../src/graph.js';
+import { renderJson } from '../src/json.js';
+import { loadWsdl, createResolver } from '../src/load.js';
 import { buildModel } from '../src/model.js';
 import { renderHtml } from '../src/render.js';
+import { formatSource, hasScheme } from '../src/util.js';
+
+const GRAPH_EXTENSIONS = {
+  '.dot': 'dot',
+  '.gv': 'dot',
+  '.mmd': 'mermaid',
+  '.mermaid': 'mermaid',
+  '.json': 'json',
+};
+
+const OUTPUT_FORMATS = ['html', 'json'];
 
 const CDN_CSS = 'https://cdn.jsdelivr.net/npm/@svmukhin/edible-css@latest/dist/edible.min.css';
 
@@ -41,21 +77,53 @@ program
   .name('comprehensible-wsdl')
   .description('Generate a readable HTML5 reference page from a WSDL file')
   .version(pkg.version)
-  .argument('<wsdl-file>', 'Path to .wsdl / .xml file, or "-" to read stdin')
-  .option('-o, --output <file>', 'Write HTML to file instead of stdout')
+  .argument(
+    '<wsdl-file>',
+    'Path or URL of a .wsdl / .xml file, a .zip / .jar (optionally with !/<entry>), or "-" for stdin',
+  )
+  .option('-o, --output <file>', 'Write the output to file instead of stdout')
+  .option('--format <format>', 'Output format: html or json', parseFormat, 'html')
   .option('--title <string>', 'Override the page <title>')
   .option('--inline-css', 'Embed edible.css inline (fully offline output)')
+  .option('--catalog <file>', 'Resolve imports through an XML catalog or JSON mapping')
+  .option('--strict', 'Exit with an error when a reference does not resolve')
+  .option('--import-graph <file>', 'Write the import graph as .dot, .mmd or .json')
+  .option('--base-url <url>', 'Resolve relative imports against this URL (e.g. for stdin)')
+  .option('--source-hints', 'Note the file and line each type is defined at')
+  .option('--concurrency <n>', 'Fetch at most n imported documents at once', parseCount, 8)
+  .option('--cache-dir <dir>', 'Cache HTTP responses here; each run revalidates them')
   .action(async (wsdlFile, opts) => {
-    const xml = await readInput(wsdlFile);
-    const baseDir = wsdlFile === '-' ? process.cwd() : dirname(resolve(wsdlFile));
-    const inlineCss = opts.inlineCss ? await fetchCss() : undefined;
-    const raw = await loadWsdl(xml, { baseDir });
+    if (opts.baseUrl && !hasScheme(opts.baseUrl)) {
+      throw new Error(`--base-url must be an absolute URL, got "${opts.baseUrl}"`);
+    }
+    const resolver = createResolver({ cacheDir: opts.cacheDir });
+    const { xml, location } = await readInput(wsdlFile, resolver);
+    const baseDir = opts.baseUrl;
+    const inlineCss = opts.inlineCss && opts.format === 'html' ? await fetchCss() : undefined;
+    const catalog = opts.catalog ? await loadCatalog(opts.catalog) : undefined;
+    const graphFormat = opts.importGraph ? graphFormatOf(opts.importGraph) : undefined;
+    const graph = graphFormat ? createGraph() : undefined;
+    const { concurrency } = opts;
+    const raw = await loadWsdl(xml, { location, baseDir, catalog, graph, resolver, concurrency });
+    if (graph) writeFileSync(opts.importGraph, formatGraph(graph, graphFormat), 'utf8');
     const model = buildModel(raw);
-    const html = renderHtml(model, { title: opts.title, inlineCss });
+    const diagnostics = diagnose(model);
+    for (const d of diagnostics) {
+      const where = formatSource(d.source);
+      process.stderr.write(`warning: ${where ? `${where}: ` : ''}${d.message}\n`);
+    }
+    if (opts.strict && diagnostics.length) {
+      const count = diagnostics.length;
+      throw new Error(`${count} unresolved reference${count === 1 ? '' : 's'} (--strict)`);
+    }
+    const output =
+      opts.format === 'json'
+        ? renderJson(model, { location })
+        : renderHtml(model, { title: opts.title, inlineCss, sourceHints: opts.sourceHints });
     if (opts.output) {
-      writeFileSync(opts.output, html, 'utf8');
+      writeFileSync(opts.output, output, 'utf8');
     } else {
-      process.stdout.write(html);
+      process.stdout.write(output);
     }
   });
 
@@ -65,14 +133,60 @@ program.parseAsync(process.argv).catch((err) => {
 });
 
 /**
- * Reads the WSDL source either from a file path or from stdin when path is "-".
+ * Parses a positive integer option value for commander.
  *
- * @param {string} filePath
- * @returns {Promise<string>}
+ * @param {string} value
+ * @returns {number}
+ */
+function parseCount(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new InvalidArgumentError('Expected a positive integer.');
+  return n;
+}
+
+/**
+ * Parses the --format option value for commander.
+ *
+ * @param {string} value
+ * @returns {'html'|'json'}
+ */
+function parseFormat(value) {
+  if (!OUTPUT_FORMATS.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Picks the import graph format from the output file extension.
+ *
+ * @param {string} file
+ * @returns {'dot'|'mermaid'|'json'}
+ */
+function graphFormatOf(file) {
+  const format = GRAPH_EXTENSIONS[extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(
+      `cannot tell the import graph format of ${file}: use ${Object.keys(GRAPH_EXTENSIONS).join(', ')}`,
+    );
+  }
+  return format;
+}
+
+/**
+ * Reads the WSDL source from stdin when the argument is "-", and otherwise
+ * through the resolver (file path, URL or archive). Returns the location of
+ * the document too (undefined for stdin) so that relative imports resolve
+ * against it.
+ *
+ * @param {string} input
+ * @param {(location: string, base: string) => Promise<{ content: string, location: string }>} resolver
+ * @returns {Promise<{ xml: string, location: string|undefined }>}
  */
-async function readInput(filePath) {
-  if (filePath === '-') return readStdin();
-  return readFile(filePath, 'utf8');
+async function readInput(input, resolver) {
+  if (input === '-') return { xml: await readStdin(), location: undefined };
+  const { content, location } = await resolver(input, process.cwd());
+  return { xml: content, location };
 }
 
 /**
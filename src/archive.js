@@ -0,0 +1,180 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * archive.js – reads WSDL bundles shipped as ZIP or JAR archives.
+ *
+ * An archive entry is addressed as "<archive>!/<entry>", the convention of
+ * Java jar: URLs, e.g. "vendor/bundle.zip!/META-INF/wsdl/Service.wsdl".
+ * Because such a location looks like an ordinary path, relative imports
+ * inside the archive ("../xsd/types.xsd") resolve with plain path joining in
+ * load.js and land on the right entry. A bare archive path with no entry
+ * selects the root WSDL automatically: the single .wsdl/.xml entry whose root
+ * element is <definitions> or <description>. Only the document element
+ * counts – the first start tag after the XML declaration, comments, processing
+ * instructions and DOCTYPE – so a Maven pom.xml with a <description> child is
+ * not taken for a WSDL 2.0 document.
+ *
+ * isArchiveLocation(location) tells such locations apart; readArchiveSource
+ * (location) returns { content, location } for them, where location names the
+ * entry that was read. Only the subset of ZIP needed for this is supported:
+ * stored and deflated entries, no ZIP64, no encryption.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { inflateRawSync } from 'node:zlib';
+import { documentElement } from './util.js';
+
+const ARCHIVE_LOCATION = /^(.*?\.(?:zip|jar))(?:!([/\\].*))?$/i;
+const WSDL_ROOT = /^(?:[\w.-]+:)?(?:definitions|description)$/;
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * @param {string} location
+ * @returns {boolean}
+ */
+export function isArchiveLocation(location) {
+  return ARCHIVE_LOCATION.test(location);
+}
+
+/**
+ * Reads an archive entry, or the auto-detected root WSDL of the archive when
+ * no entry is named.
+ *
+ * @param {string} location  "<archive>" or "<archive>!/<entry>".
+ * @returns {Promise<{ content: string, location: string }>}
+ * @throws {Error} When the archive is malformed, the entry does not exist, or
+ *                 the root WSDL cannot be determined.
+ */
+export async function readArchiveSource(location) {
+  const [, archivePath, entryPath] = ARCHIVE_LOCATION.exec(location);
+  const buffer = await readFile(archivePath);
+  const entries = readCentralDirectory(buffer, archivePath);
+  const name = entryPath ? normaliseEntry(entryPath) : findRootWsdl(buffer, entries, archivePath);
+  const entry = entries.get(name);
+  if (!entry) throw new Error(`No entry "${name}" in archive ${archivePath}`);
+  return {
+    content: readEntry(buffer, entry, archivePath).toString('utf8'),
+    location: `${archivePath}!/${name}`,
+  };
+}
+
+/**
+ * Picks the root WSDL: the only .wsdl/.xml entry with a <definitions> or
+ * <description> root element.
+ *
+ * @param {Buffer} buffer
+ * @param {Map<string, object>} entries
+ * @param {string} archivePath
+ * @returns {string}
+ */
+function findRootWsdl(buffer, entries, archivePath) {
+  const candidates = [...entries.keys()].filter(
+    (name) =>
+      /\.(?:wsdl|xml)$/i.test(name) &&
+      WSDL_ROOT.test(rootName(readEntry(buffer, entries.get(name), archivePath))),
+  );
+  if (candidates.length === 1) return candidates[0];
+  if (!candidates.length) throw new Error(`No WSDL document found in archive ${archivePath}`);
+  throw new Error(
+    `Several WSDL documents in archive ${archivePath} (${candidates.join(', ')}); ` +
+      `name one as ${archivePath}!/<entry>`,
+  );
+}
+
+/**
+ * @param {Buffer} content  An XML document.
+ * @returns {string}  The qualified name of its document element, or "".
+ */
+function rootName(content) {
+  return documentElement(content.toString('utf8'))?.name ?? '';
+}
+
+/**
+ * Reads the central directory into a Map from entry name to
+ * { method, flags, compressedSize, offset }. Directory entries are skipped.
+ *
+ * @param {Buffer} buffer
+ * @param {string} archivePath
+ * @returns {Map<string, { method: number, flags: number, compressedSize: number, offset: number }>}
+ */
+function readCentralDirectory(buffer, archivePath) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd === -1) throw new Error(`Not a ZIP archive: ${archivePath}`);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let pos = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pos) !== CENTRAL_SIGNATURE) {
+      throw new Error(`Corrupt ZIP central directory in ${archivePath}`);
+    }
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+    if (!name.endsWith('/')) {
+      entries.set(normaliseEntry(name), {
+        flags: buffer.readUInt16LE(pos + 8),
+        method: buffer.readUInt16LE(pos + 10),
+        compressedSize: buffer.readUInt32LE(pos + 20),
+        offset: buffer.readUInt32LE(pos + 42),
+      });
+    }
+    pos += 46 + nameLength + buffer.readUInt16LE(pos + 30) + buffer.readUInt16LE(pos + 32);
+  }
+  return entries;
+}
+
+/**
+ * Scans backwards for the end-of-central-directory record, which is followed
+ * by an archive comment of up to 64 KiB.
+ *
+ * @param {Buffer} buffer
+ * @returns {number}  Offset of the record, or -1.
+ */
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let pos = buffer.length - 22; pos >= stop; pos--) {
+    if (buffer.readUInt32LE(pos) === EOCD_SIGNATURE) return pos;
+  }
+  return -1;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {{ method: number, flags: number, compressedSize: number, offset: number }} entry
+ * @param {string} archivePath
+ * @returns {Buffer}
+ */
+function readEntry(buffer, entry, archivePath) {
+  if (entry.flags & 1) throw new Error(`Encrypted ZIP entries are not supported: ${archivePath}`);
+  if (entry.compressedSize === 0xffffffff || entry.offset === 0xffffffff) {
+    throw new Error(`ZIP64 archives are not supported: ${archivePath}`);
+  }
+  if (buffer.readUInt32LE(entry.offset) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt ZIP entry header in ${archivePath}`);
+  }
+  const start =
+    entry.offset +
+    30 +
+    buffer.readUInt16LE(entry.offset + 26) +
+    buffer.readUInt16LE(entry.offset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return inflateRawSync(data);
+  throw new Error(`Unsupported ZIP compression method ${entry.method} in ${archivePath}`);
+}
+
+/**
+ * Normalises an entry name to the form stored in the archive: forward
+ * slashes, no leading slash or "./".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normaliseEntry(name) {
+  return name.replace(/\\/g, '/').replace(/^(?:\.?\/)+/, '');
+}
@@ -0,0 +1,76 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * cache.js – on-disk cache for documents fetched over HTTP.
+ *
+ * Large schema sets are usually fetched from the same server run after run.
+ * fetchCached(url, cacheDir) stores each response body in cacheDir, in a file
+ * named after the SHA-256 of the URL, together with the ETag and
+ * Last-Modified validators the server sent. The next run revalidates with
+ * If-None-Match / If-Modified-Since and reuses the stored body on a
+ * 304 Not Modified, so unchanged documents are not downloaded again.
+ * Responses without a validator are never cached: there would be no way to
+ * tell when they change. A cache file that cannot be read or parsed, or that
+ * lacks the body or a validator, counts as a miss. Files are written under a
+ * temporary name and renamed into place, so a run that is interrupted, or one
+ * running alongside, never leaves a half-written entry behind.
+ *
+ * Only raw HTTP bodies are cached, and every run still sends one conditional
+ * request per document; local files and archive entries are read directly.
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * @param {string} url       http(s) URL to fetch.
+ * @param {string} cacheDir  Directory holding the cache; created when needed.
+ * @returns {Promise<string>}  The response body.
+ * @throws {Error} When the request fails or the server answers with an error status.
+ */
+export async function fetchCached(url, cacheDir) {
+  const file = join(cacheDir, `${createHash('sha256').update(url).digest('hex')}.json`);
+  const cached = await readFile(file, 'utf8')
+    .then(JSON.parse)
+    .then((entry) => (isEntry(entry) ? entry : null))
+    .catch(() => null);
+  const headers = {};
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  const res = await fetch(url, { headers });
+  if (res.status === 304 && cached) return cached.content;
+  if (!res.ok) throw new Error(`Failed to fetch ${url}: HTTP ${res.status}`);
+  const content = await res.text();
+  const etag = res.headers.get('etag');
+  const lastModified = res.headers.get('last-modified');
+  if (etag || lastModified) {
+    await mkdir(cacheDir, { recursive: true });
+    const temp = `${file}.${randomUUID()}.tmp`;
+    try {
+      await writeFile(temp, JSON.stringify({ url, etag, lastModified, content }), 'utf8');
+      await rename(temp, file);
+    } catch (err) {
+      await rm(temp, { force: true });
+      throw err;
+    }
+  }
+  return content;
+}
+
+/**
+ * True when a parsed cache file has the shape fetchCached() writes: the body
+ * as a string and at least one validator to revalidate it with.
+ *
+ * @param {unknown} entry
+ * @returns {boolean}
+ */
+function isEntry(entry) {
+  return (
+    typeof entry?.content === 'string' &&
+    (typeof entry.etag === 'string' || typeof entry.lastModified === 'string')
+  );
+}
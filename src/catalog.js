@@ -0,0 +1,173 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * catalog.js – offline redirection of import locations and namespace URIs to
+ * local files, for build machines that cannot reach the network.
+ *
+ * Two catalog formats are accepted:
+ *
+ *   1. An OASIS XML catalog. Supported entries (optionally inside <group>):
+ *        <uri name="…" uri="…"/>                          exact match
+ *        <system systemId="…" uri="…"/>                   exact match
+ *        <public publicId="…" uri="…"/>                   exact match
+ *        <rewriteURI uriStartString="…" rewritePrefix="…"/>        prefix rule
+ *        <rewriteSystem systemIdStartString="…" rewritePrefix="…"/> prefix rule
+ *      xml:base on <catalog> or <group> is honoured.
+ *
+ *   2. A JSON mapping:
+ *        {
+ *          "uri":     { "<namespace or URL>": "<file>" },
+ *          "rewrite": { "<URL prefix>": "<directory prefix>" }
+ *        }
+ *
+ * Relative targets are resolved against the catalog file's directory, so a
+ * catalog can be checked in next to the schemas it points at.
+ *
+ * Matching: exact entries win; otherwise the rewrite rule with the longest
+ * matching start string applies. A namespace URI is not a location, so it is
+ * only matched against the exact <uri> and <public> entries (or the JSON "uri"
+ * mapping) and never rewritten. That lets imports that carry only a
+ * namespace= attribute be redirected too.
+ *
+ * loadCatalog(file) reads a catalog file; parseCatalog(source, baseDir) parses
+ * one from a string. Both return
+ * { resolve(uri) → string|null, resolveNamespace(namespace) → string|null }.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseXml } from './parse.js';
+import { arr, hasScheme } from './util.js';
+
+const ARRAY_TAGS = new Set(['group', 'uri', 'system', 'public', 'rewriteURI', 'rewriteSystem']);
+
+/**
+ * @param {string} file  Path to an XML or JSON catalog.
+ * @returns {Promise<{ resolve: (uri: string) => string|null, resolveNamespace: (namespace: string) => string|null }>}
+ */
+export async function loadCatalog(file) {
+  const source = await readFile(file, 'utf8');
+  return parseCatalog(source, dirname(resolve(file)));
+}
+
+/**
+ * @param {string} source   Catalog contents (XML or JSON).
+ * @param {string} baseDir  Directory that relative targets are resolved against.
+ * @returns {{ resolve: (uri: string) => string|null, resolveNamespace: (namespace: string) => string|null }}
+ * @throws {Error} When the source is neither a JSON mapping nor an XML catalog.
+ */
+export function parseCatalog(source, baseDir) {
+  const entries = source.trimStart().startsWith('{')
+    ? jsonEntries(JSON.parse(source), baseDir)
+    : xmlEntries(source, baseDir);
+  return {
+    resolve: (uri) => lookup(uri, entries),
+    resolveNamespace: (namespace) => entries.names.get(namespace) ?? null,
+  };
+}
+
+/**
+ * @param {{ uri?: Record<string, string>, rewrite?: Record<string, string> }} json
+ * @param {string} baseDir
+ * @returns {{ exact: Map<string, string>, names: Map<string, string>, rewrites: Array<{ start: string, prefix: string }> }}
+ */
+function jsonEntries(json, baseDir) {
+  const exact = new Map(
+    Object.entries(json.uri ?? {}).map(([from, to]) => [from, target(to, baseDir)]),
+  );
+  return {
+    exact,
+    names: exact,
+    rewrites: Object.entries(json.rewrite ?? {}).map(([start, prefix]) => ({
+      start,
+      prefix: target(prefix, baseDir),
+    })),
+  };
+}
+
+/**
+ * @param {string} xml
+ * @param {string} baseDir
+ * @returns {{ exact: Map<string, string>, names: Map<string, string>, rewrites: Array<{ start: string, prefix: string }> }}
+ */
+function xmlEntries(xml, baseDir) {
+  const root = parseXml(xml, (tagName) => ARRAY_TAGS.has(tagName))['catalog'];
+  if (!root || typeof root !== 'object') {
+    throw new Error('Not a valid catalog: expected a JSON mapping or a <catalog> root element.');
+  }
+  const entries = { exact: new Map(), names: new Map(), rewrites: [] };
+  collectXmlEntries(root, baseDir, entries);
+  return entries;
+}
+
+/**
+ * Reads the entries of a <catalog> or <group> node into entries, recursing
+ * into nested groups. <uri> and <public> entries also go into names, the
+ * entries namespaces are matched against.
+ *
+ * @param {object} node
+ * @param {string} baseDir
+ * @param {{ exact: Map<string, string>, names: Map<string, string>, rewrites: Array<{ start: string, prefix: string }> }} entries
+ */
+function collectXmlEntries(node, baseDir, entries) {
+  const base = node['@_base'] ? target(node['@_base'], baseDir) : baseDir;
+  for (const e of arr(node['uri'])) {
+    entries.exact.set(e['@_name'], target(e['@_uri'], base));
+    entries.names.set(e['@_name'], target(e['@_uri'], base));
+  }
+  for (const e of arr(node['system'])) entries.exact.set(e['@_systemId'], target(e['@_uri'], base));
+  for (const e of arr(node['public'])) {
+    entries.exact.set(e['@_publicId'], target(e['@_uri'], base));
+    entries.names.set(e['@_publicId'], target(e['@_uri'], base));
+  }
+  for (const e of arr(node['rewriteURI'])) {
+    entries.rewrites.push({
+      start: e['@_uriStartString'],
+      prefix: target(e['@_rewritePrefix'], base),
+    });
+  }
+  for (const e of arr(node['rewriteSystem'])) {
+    entries.rewrites.push({
+      start: e['@_systemIdStartString'],
+      prefix: target(e['@_rewritePrefix'], base),
+    });
+  }
+  for (const group of arr(node['group'])) collectXmlEntries(group, base, entries);
+}
+
+/**
+ * @param {string} uri
+ * @param {{ exact: Map<string, string>, names: Map<string, string>, rewrites: Array<{ start: string, prefix: string }> }} entries
+ * @returns {string|null}
+ */
+function lookup(uri, entries) {
+  if (!uri) return null;
+  if (entries.exact.has(uri)) return entries.exact.get(uri);
+  let best = null;
+  for (const rule of entries.rewrites) {
+    if (!rule.start || !uri.startsWith(rule.start)) continue;
+    if (!best || rule.start.length > best.start.length) best = rule;
+  }
+  return best ? best.prefix + uri.slice(best.start.length) : null;
+}
+
+/**
+ * Resolves a catalog target against the directory it is relative to. URLs and
+ * absolute paths are returned unchanged and file: URLs become paths. A
+ * trailing slash is preserved so rewrite prefixes keep working as directory
+ * prefixes.
+ *
+ * @param {string} [value]
+ * @param {string} baseDir
+ * @returns {string}
+ */
+function target(value = '', baseDir) {
+  if (value.startsWith('file:')) return fileURLToPath(value);
+  if (hasScheme(value)) return value;
+  const resolved = resolve(baseDir, value);
+  return /[/\\]$/.test(value) ? `${resolved}/` : resolved;
+}
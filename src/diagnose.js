@@ -0,0 +1,253 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * diagnose.js – finds references in a normalised model that point at nothing.
+ *
+ * render.js degrades gracefully when a reference does not resolve (empty
+ * field tables, "No matching message found"), which hides broken contracts.
+ * diagnose(model) walks every qualified reference instead and reports the
+ * dangling ones:
+ *
+ *   operation-message  operation input/output/fault → message
+ *   part-element       message part element=        → global element
+ *   part-type          message part type=           → complexType/simpleType
+ *   element-type       global element type=         → complexType/simpleType
+ *   element-substitution
+ *                      substitutionGroup=           → global element
+ *   field-type         element/attribute type=      → complexType/simpleType
+ *                      (also inside anonymous field types and named groups)
+ *   field-ref          field ref=                   → global element
+ *   group-ref          <xs:group ref=…>             → named model group
+ *   type-base          restriction/extension base=  → complexType/simpleType
+ *   type-member        list itemType=, union memberTypes= → simpleType
+ *                      (and the bases of anonymous item / member types)
+ *   binding-portType   binding type= / interface=   → portType/interface
+ *
+ * A field inside a named group is reported for each type that uses the
+ * group, and for the group itself only when no type does.
+ * Each diagnostic is { kind, message, source }, where source is the
+ * { file, line, column } of the declaration or field holding the reference
+ * (null when unknown). References into the XML Schema and SOAP encoding
+ * namespaces are built-in types and are never reported, nor are WSDL 2.0
+ * message tokens such as "#any".
+ */
+
+import { buildIndex, refOf } from './resolve.js';
+import { formatSource, qnameKey, XSD_NS } from './util.js';
+
+const BUILTIN_NAMESPACES = new Set([
+  XSD_NS,
+  'http://schemas.xmlsoap.org/soap/encoding/',
+  'http://www.w3.org/2003/05/soap-encoding',
+]);
+
+/**
+ * @param {object} model  Output of buildModel().
+ * @returns {Array<{ kind: string, message: string, source: object|null }>}
+ */
+export function diagnose(model) {
+  const index = buildIndex(model);
+  const portTypes = new Set(model.portTypes.map((pt) => qnameKey(refOf(pt))));
+  const diagnostics = [];
+  const report = (kind, item, message) =>
+    diagnostics.push({ kind, message, source: item.source ?? null });
+  const checkContent = (owner, of, subject, skip = new Set()) => {
+    const flag = (kind, item, message) => {
+      if (!item.source || !skip.has(sourceKey({ kind, source: item.source }))) {
+        report(kind, item, message);
+      }
+    };
+    for (const [name, field] of fieldsOf(owner)) {
+      if (isChecked(field.ref) && !index.declarationByQName.has(qnameKey(field.ref))) {
+        flag(
+          'field-ref',
+          field,
+          `Field "${name}" of ${of} refers to unknown element ${qnameKey(field.ref)}`,
+        );
+      }
+      if (!isChecked(field.typeRef) || index.typeByQName.has(qnameKey(field.typeRef))) continue;
+      flag(
+        'field-type',
+        field,
+        `Field "${name}" of ${of} refers to unknown type ${qnameKey(field.typeRef)}`,
+      );
+    }
+    for (const compositor of compositorsOf(owner.content)) {
+      if (!isChecked(compositor.group) || index.groupByQName.has(qnameKey(compositor.group))) {
+        continue;
+      }
+      flag(
+        'group-ref',
+        compositor,
+        `${subject} refers to unknown group ${qnameKey(compositor.group)}`,
+      );
+    }
+  };
+
+  for (const op of model.operations) {
+    const refs = [
+      ['input', op.inputRef],
+      ['output', op.outputRef],
+      ...op.faults.map((f) => [`fault "${f.name}"`, f.messageRef]),
+    ];
+    for (const [role, ref] of refs) {
+      if (!isChecked(ref) || index.messageByQName.has(qnameKey(ref))) continue;
+      report(
+        'operation-message',
+        op,
+        `Operation "${op.name}" ${role} refers to unknown message ${qnameKey(ref)}`,
+      );
+    }
+  }
+
+  for (const msg of model.messages) {
+    for (const part of msg.parts) {
+      const element = qnameKey(part.elementRef);
+      if (isChecked(part.elementRef) && !index.declarationByQName.has(element)) {
+        report(
+          'part-element',
+          msg,
+          `Message "${msg.name}" part "${part.name}" refers to unknown element ${element}`,
+        );
+      }
+      if (isChecked(part.typeRef) && !index.typeByQName.has(qnameKey(part.typeRef))) {
+        report(
+          'part-type',
+          msg,
+          `Message "${msg.name}" part "${part.name}" refers to unknown type ${qnameKey(part.typeRef)}`,
+        );
+      }
+    }
+  }
+
+  for (const el of model.elements) {
+    const head = qnameKey(el.substitutionGroupRef);
+    if (isChecked(el.substitutionGroupRef) && !index.declarationByQName.has(head)) {
+      report(
+        'element-substitution',
+        el,
+        `Element "${el.name}" substitutes for unknown element ${head}`,
+      );
+    }
+    if (!isChecked(el.typeRef) || index.typeByQName.has(qnameKey(el.typeRef))) continue;
+    report(
+      'element-type',
+      el,
+      `Element "${el.name}" refers to unknown type ${qnameKey(el.typeRef)}`,
+    );
+  }
+
+  for (const type of model.types) {
+    if (isChecked(type.baseRef) && !index.typeByQName.has(qnameKey(type.baseRef))) {
+      report(
+        'type-base',
+        type,
+        `Type "${type.name}" ${type.derivation === 'restriction' ? 'restricts' : 'extends'} unknown type ${qnameKey(type.baseRef)}`,
+      );
+    }
+    for (const [role, ref] of memberRefsOf(type)) {
+      if (!isChecked(ref) || index.typeByQName.has(qnameKey(ref))) continue;
+      report(
+        'type-member',
+        type,
+        `Type "${type.name}" ${role} refers to unknown type ${qnameKey(ref)}`,
+      );
+    }
+    checkContent(type, `"${type.name}"`, `Type "${type.name}"`);
+  }
+
+  // Fields and group references inside a named group are checked by way of
+  // the types that use it; an unused group is checked on its own.
+  const fromTypes = new Set(diagnostics.map(sourceKey));
+  for (const group of model.groups ?? []) {
+    checkContent(group, `group "${group.name}"`, `Group "${group.name}"`, fromTypes);
+  }
+
+  const portType = model.wsdlVersion === '2.0' ? 'interface' : 'portType';
+  for (const b of model.bindings) {
+    if (!isChecked(b.typeRef) || portTypes.has(qnameKey(b.typeRef))) continue;
+    report(
+      'binding-portType',
+      b,
+      `Binding "${b.name}" refers to unknown ${portType} ${qnameKey(b.typeRef)}`,
+    );
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Lists the fields and then the attributes of a type as [name, field] pairs,
+ * descending into anonymous field types: "address/street", "@id".
+ *
+ * @param {{ fields: Array, attributes?: Array }} type  A type or a named group.
+ * @param {string} [prefix]
+ * @returns {Array<[string, object]>}
+ */
+function fieldsOf(type, prefix = '') {
+  return [
+    ...type.fields.flatMap((f) => [
+      [`${prefix}${f.name}`, f],
+      ...(f.children ? fieldsOf(f.children, `${prefix}${f.name}/`) : []),
+    ]),
+    ...(type.attributes ?? []).map((a) => [`${prefix}@${a.name}`, a]),
+  ];
+}
+
+/**
+ * @param {{ kind: string, source: object|null }} diagnostic
+ * @returns {string}  The kind and where the reference is, e.g. "field-type a.xsd:3:5".
+ */
+function sourceKey(diagnostic) {
+  return `${diagnostic.kind} ${formatSource(diagnostic.source)}`;
+}
+
+/**
+ * Lists the types a simpleType's list items or union members refer to as
+ * [role, ref] pairs; an anonymous item or member type contributes its base.
+ *
+ * @param {{ itemType?: object|null, memberTypes?: Array }} simpleType
+ * @returns {Array<[string, object|null]>}
+ */
+function memberRefsOf(simpleType) {
+  return [
+    ...(simpleType.itemType ? [['list item', simpleType.itemType]] : []),
+    ...(simpleType.memberTypes ?? []).map((member) => ['union member', member]),
+  ].flatMap(([role, member]) =>
+    member.simpleType
+      ? [[role, member.simpleType.baseRef], ...memberRefsOf(member.simpleType)]
+      : [[role, member.typeRef]],
+  );
+}
+
+/**
+ * Lists a compositor and the compositors nested in it, descending into
+ * anonymous field types.
+ *
+ * @param {{ items: Array }|null|undefined} compositor
+ * @returns {Array<object>}
+ */
+function compositorsOf(compositor) {
+  if (!compositor) return [];
+  return [
+    compositor,
+    ...compositor.items.flatMap((item) =>
+      item.compositor ? compositorsOf(item) : compositorsOf(item.children?.content),
+    ),
+  ];
+}
+
+/**
+ * True for references that should resolve within the model: present, not a
+ * built-in type, and not a WSDL 2.0 message token.
+ *
+ * @param {{ namespace: string, localName: string }|null|undefined} ref
+ * @returns {boolean}
+ */
+function isChecked(ref) {
+  if (!ref) return false;
+  return !BUILTIN_NAMESPACES.has(ref.namespace) && !ref.localName.startsWith('#');
+}
@@ -0,0 +1,191 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * graph.js – the import/include graph collected by loadWsdl() and its
+ * serialisations.
+ *
+ * Pass createGraph() as the `graph` option of loadWsdl() and it is filled
+ * with:
+ *   {
+ *     nodes: Array<{ location, kind: 'wsdl'|'xsd', targetNamespace, declarations }>,
+ *     edges: Array<{ from, to, kind: 'import'|'include'|'redefine'|'override', status, namespace }>,
+ *   }
+ * where declarations maps a declaration kind (message, complexType, …) to how
+ * many the document itself declares, and edge status is one of:
+ *   loaded      the target was fetched and merged
+ *   cycle       the target is an ancestor of the importing document
+ *   repeat      the target was already loaded through another path
+ *   unresolved  nothing to load (no location, no catalog entry); to is null
+ * Edges refer to nodes by location. A root document passed to loadWsdl()
+ * without a location is called ROOT_LOCATION.
+ *
+ * toDot(), toMermaid() and toJson() render the graph as Graphviz DOT, a
+ * Mermaid flowchart and pretty-printed JSON. Skipped edges (cycle, repeat) are
+ * dashed, cycles red; unresolved imports point at a dashed namespace node.
+ */
+
+export const ROOT_LOCATION = '(input)';
+
+export const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+
+/**
+ * @returns {{ nodes: Array, edges: Array }}
+ */
+export function createGraph() {
+  return { nodes: [], edges: [] };
+}
+
+/**
+ * @param {{ nodes: Array, edges: Array }} graph
+ * @param {'dot'|'mermaid'|'json'} format
+ * @returns {string}
+ */
+export function formatGraph(graph, format) {
+  if (format === 'dot') return toDot(graph);
+  if (format === 'mermaid') return toMermaid(graph);
+  if (format === 'json') return toJson(graph);
+  throw new Error(`Unknown graph format "${format}": expected one of ${GRAPH_FORMATS.join(', ')}`);
+}
+
+/**
+ * @param {{ nodes: Array, edges: Array }} graph
+ * @returns {string}
+ */
+export function toDot(graph) {
+  const ids = nodeIds(graph);
+  const lines = ['digraph imports {', '  rankdir=LR;', '  node [shape=box, fontname="monospace"];'];
+  for (const node of graph.nodes) {
+    const label = dotString(...nodeLabel(node));
+    lines.push(
+      `  ${ids.get(node.location)} [label=${label}, tooltip=${dotString(node.location)}];`,
+    );
+  }
+  for (const [id, namespace] of unresolvedNodes(graph, ids)) {
+    lines.push(`  ${id} [label=${dotString(namespace, '(not loaded)')}, style=dashed];`);
+  }
+  for (const edge of graph.edges) {
+    const attrs = [`label=${dotString(edgeLabel(edge))}`];
+    if (edge.status !== 'loaded') attrs.push('style=dashed');
+    if (edge.status === 'cycle') attrs.push('color=red', 'fontcolor=red');
+    lines.push(`  ${ids.get(edge.from)} -> ${targetId(edge, ids)} [${attrs.join(', ')}];`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {{ nodes: Array, edges: Array }} graph
+ * @returns {string}
+ */
+export function toMermaid(graph) {
+  const ids = nodeIds(graph);
+  const lines = ['graph LR'];
+  for (const node of graph.nodes) {
+    lines.push(`  ${ids.get(node.location)}["${mermaidText(nodeLabel(node).join('<br/>'))}"]`);
+  }
+  for (const [id, namespace] of unresolvedNodes(graph, ids)) {
+    lines.push(`  ${id}(["${mermaidText(namespace)}<br/>(not loaded)"])`);
+  }
+  const cycles = [];
+  graph.edges.forEach((edge, i) => {
+    const arrow = edge.status === 'loaded' ? '-->' : '-.->';
+    lines.push(`  ${ids.get(edge.from)} ${arrow}|"${edgeLabel(edge)}"| ${targetId(edge, ids)}`);
+    if (edge.status === 'cycle') cycles.push(i);
+  });
+  if (cycles.length) lines.push(`  linkStyle ${cycles.join(',')} stroke:red`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {{ nodes: Array, edges: Array }} graph
+ * @returns {string}
+ */
+export function toJson(graph) {
+  return JSON.stringify(graph, null, 2) + '\n';
+}
+
+/**
+ * Assigns short identifiers (n0, n1, …) to the node locations.
+ *
+ * @param {{ nodes: Array }} graph
+ * @returns {Map<string, string>}
+ */
+function nodeIds(graph) {
+  return new Map(graph.nodes.map((node, i) => [node.location, `n${i}`]));
+}
+
+/**
+ * Returns [id, namespace] for each distinct namespace of an unresolved import
+ * and registers the ids (u0, u1, …) in ids under "unresolved:<namespace>".
+ *
+ * @param {{ edges: Array }} graph
+ * @param {Map<string, string>} ids
+ * @returns {Array<[string, string]>}
+ */
+function unresolvedNodes(graph, ids) {
+  const namespaces = new Set(
+    graph.edges.filter((e) => e.status === 'unresolved').map((e) => e.namespace),
+  );
+  return [...namespaces].map((namespace, i) => {
+    ids.set(`unresolved:${namespace}`, `u${i}`);
+    return [`u${i}`, namespace || '?'];
+  });
+}
+
+/**
+ * @param {{ to: string|null, namespace: string }} edge
+ * @param {Map<string, string>} ids  Node ids, including those of unresolvedNodes().
+ * @returns {string}
+ */
+function targetId(edge, ids) {
+  return ids.get(edge.to ?? `unresolved:${edge.namespace}`);
+}
+
+/**
+ * Label lines for a node: the last segment of its location, its kind and
+ * target namespace, and its declaration counts.
+ *
+ * @param {{ location: string, kind: string, targetNamespace: string, declarations: object }} node
+ * @returns {string[]}
+ */
+function nodeLabel(node) {
+  const name = node.location.slice(node.location.search(/[^/\\]*$/));
+  const counts = Object.entries(node.declarations).map(([key, n]) => `${n} ${key}`);
+  return [
+    name,
+    node.targetNamespace ? `${node.kind} · ${node.targetNamespace}` : node.kind,
+    ...(counts.length ? [counts.join(', ')] : []),
+  ];
+}
+
+/**
+ * @param {{ kind: string, status: string }} edge
+ * @returns {string}
+ */
+function edgeLabel(edge) {
+  return edge.status === 'loaded' || edge.status === 'unresolved'
+    ? edge.kind
+    : `${edge.kind} (${edge.status})`;
+}
+
+/**
+ * Quotes lines as one DOT string, joined by "\n" line breaks. Backslashes and
+ * quotes in the lines are escaped, so a Windows path reads as written.
+ *
+ * @param {...string} lines
+ * @returns {string}
+ */
+function dotString(...lines) {
+  return `"${lines.map((line) => line.replace(/[\\"]/g, '\\$&')).join('\\n')}"`;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function mermaidText(value) {
+  return value.replace(/"/g, '#quot;');
+}
@@ -0,0 +1,124 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * json.js – serialises the normalised model, together with what resolve.js
+ * derives from it, as versioned JSON for tools that ingest service metadata.
+ *
+ * renderJson(model, options) returns the document as pretty-printed JSON;
+ * exportModel() returns it as a plain object. Its shape is described by the JSON Schema in
+ * schema/model-v1.schema.json, whose $id the document names as its $schema:
+ *   {
+ *     $schema, formatVersion: 1,
+ *     wsdlVersion, name, targetNamespace, documentation,
+ *     types, groups, elements, messages, portTypes, operations, bindings,
+ *     endpoints,                                  – as built by model.js
+ *     resolved: {
+ *       types:    Array<{ name, namespace, ancestors, valueType }>,
+ *       elements: Array<{ name, namespace, substitutes }>,
+ *       messages: Array<{ name, namespace, parts }>,
+ *     },
+ *   }
+ * resolved.types has an entry per type, in the order of types: ancestors are
+ * the qualified names of the types it inherits fields or attributes from,
+ * root first (inheritedFields()), and valueType is the type of its text value
+ * ({ name, ref }, see valueType()) or null when it has no simple content.
+ * resolved.elements lists for each global element the elements that may
+ * appear in its place (substitutionMembers()), and resolved.messages the parts
+ * of each message with their fields and content resolved
+ * (resolveMessageFields()).
+ *
+ * In the JSON, the file of each declaration source is relative to the
+ * directory of the root document (options.location), or to the working
+ * directory when that is not known, so the output does not depend on where
+ * the contract was checked out. URLs are left as they are.
+ *
+ * FORMAT_VERSION is raised whenever a property is removed or changes meaning;
+ * new properties may appear without it. The schema therefore requires only
+ * the properties version 1 started with and allows ones it does not list.
+ */
+
+import { dirname, relative, sep } from 'node:path';
+import {
+  buildIndex,
+  inheritedFields,
+  refOf,
+  resolveMessageFields,
+  substitutionMembers,
+  valueType,
+} from './resolve.js';
+import { hasScheme } from './util.js';
+
+export const FORMAT_VERSION = 1;
+
+export const SCHEMA_ID =
+  'https://raw.githubusercontent.com/svmukhin/comprehensible-wsdl/main/schema/model-v1.schema.json';
+
+/**
+ * @param {object} model  Output of buildModel().
+ * @param {object} [options]
+ * @param {string} [options.location]  Location of the root document.
+ * @returns {string}
+ */
+export function renderJson(model, { location } = {}) {
+  const base = location && !hasScheme(location) ? dirname(location) : process.cwd();
+  // Only declaration sources ({ file, line, column }) have a file.
+  const replacer = function (key, value) {
+    return key === 'file' && 'line' in this ? relativeFile(value, base) : value;
+  };
+  return JSON.stringify(exportModel(model), replacer, 2) + '\n';
+}
+
+/**
+ * @param {object} model  Output of buildModel().
+ * @returns {object}  The document renderJson() serialises.
+ */
+export function exportModel(model) {
+  const index = buildIndex(model);
+  return {
+    $schema: SCHEMA_ID,
+    formatVersion: FORMAT_VERSION,
+    wsdlVersion: model.wsdlVersion,
+    name: model.name,
+    targetNamespace: model.targetNamespace,
+    documentation: model.documentation,
+    types: model.types,
+    groups: model.groups ?? [],
+    elements: model.elements ?? [],
+    messages: model.messages,
+    portTypes: model.portTypes ?? [],
+    operations: model.operations,
+    bindings: model.bindings,
+    endpoints: model.endpoints,
+    resolved: {
+      types: model.types.map((type) => ({
+        name: type.name,
+        namespace: type.namespace ?? '',
+        ancestors: inheritedFields(type, index).map((g) => refOf(g.type)),
+        valueType: type.simpleContent ? valueType(type, index) : null,
+      })),
+      elements: (model.elements ?? []).map((el) => ({
+        name: el.name,
+        namespace: el.namespace ?? '',
+        substitutes: substitutionMembers(refOf(el), index).map(refOf),
+      })),
+      messages: model.messages.map((msg) => ({
+        name: msg.name,
+        namespace: msg.namespace ?? '',
+        parts: resolveMessageFields(refOf(msg), index),
+      })),
+    },
+  };
+}
+
+/**
+ * @param {string|null} file  A source file: a path, an archive entry or a URL.
+ * @param {string} base       Directory to make paths relative to.
+ * @returns {string|null}
+ */
+function relativeFile(file, base) {
+  if (!file || hasScheme(file)) return file;
+  return relative(base, file).split(sep).join('/');
+}
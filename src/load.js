@@ -5,131 +5,436 @@
 
 /**
  * load.js – async WSDL loader that recursively resolves <xsd:import>,
- * <xsd:include>, and <wsdl:import> references before handing off to
- * buildModel().
+ * <xsd:include>, <xsd:redefine>, <xsd:override>, <wsdl:import> and (WSDL 2.0)
+ * <wsdl:include> references before handing off to buildModel().
  *
- * Resolution rules (applied in order):
- *   1. If the location starts with "http://" or "https://" → fetch() from URL
- *   2. Otherwise → resolve as a path relative to baseDir
+ * Sources are fetched through a resolver: an async function
+ * (location, base) → { content, location } that turns a location as written
+ * in an import, plus the location of the importing document (or baseDir for
+ * the root), into the document text and its absolute location. The returned
+ * location becomes the base for that document's own imports. defaultResolver
+ * applies these rules (in order):
+ *   1. "http://" / "https://" locations → fetch() from URL
+ *   2. "file://" locations → read from disk
+ *   3. Otherwise → resolve as a path relative to the base directory; paths
+ *      into a ZIP/JAR archive ("bundle.zip!/wsdl/Service.wsdl") are read
+ *      from the archive (see archive.js)
+ * createResolver({ cacheDir }) builds the same resolver with an on-disk HTTP
+ * cache (see cache.js); defaultResolver is createResolver() without one.
+ * Callers can pass their own resolver (database, in-memory filesystem, …).
+ * Relative locations are joined with URL semantics whenever the base has a
+ * scheme, so custom schemes such as "db://" or "mem://" get relative-import
+ * tracking for free; resolveLocation() exposes that join to custom resolvers.
  *
- * Circular imports are prevented via a Set of already-visited locations.
- * Relative locations are resolved relative to the directory of the file that
- * contains the import, so deeply nested import chains work correctly.
+ * Circular imports are prevented by remembering already-visited locations.
+ * Relative locations are resolved relative to the file that contains the
+ * import, so deeply nested import chains work correctly.
  *
  * Schema merging: top-level XSD declarations (element, complexType, simpleType)
- * from imported/included schemas are appended to the main schema's arrays so
- * that buildModel() sees all types in one flat list.
+ * from imported/included schemas are appended to the arrays of the inline
+ * schema that imported them. A <types> element may hold several inline
+ * schemas (one per namespace, as .NET and Java tooling generate); each one has
+ * its imports resolved separately and buildModel() reads them all. Imports of
+ * a sibling inline schema carry no schemaLocation and are simply skipped.
+ * <xsd:redefine> and <xsd:override> load their schema like an include, then
+ * replace its components with their own (see redefine.js) before merging.
+ * When that schema was loaded already (through a plain include, say), the
+ * replacements are applied to the components merged from it instead, so the
+ * result does not depend on the order of the includes.
+ * An included schema without a targetNamespace is a chameleon: its components
+ * take on the namespace of the including schema, so a shared file included
+ * from several namespaces yields a separate copy of each component in each.
  *
- * WSDL import merging: message, portType, binding, and service nodes from an
- * imported WSDL definitions element are appended to the main definitions.
+ * WSDL import merging: message, portType, interface, binding, and service
+ * nodes from an imported WSDL root element (<definitions> or <description>)
+ * are appended to the main root.
  *
- * loadWsdl(xml, options) is the public entry point.
+ * Catalog redirection: when a catalog (see catalog.js) is given, every import
+ * is first looked up there – by its location as written, by its absolute
+ * location, and finally by its namespace= attribute (exact entries only) –
+ * and the catalog target is loaded instead. This is what makes namespace-only
+ * imports loadable. The namespace is not looked up when an inline schema of
+ * the same WSDL declares it, since the import then refers to that schema.
+ *
+ * loadWsdl(xml, options) is the public entry point; loadWsdlFrom(location,
+ * options) first fetches the root document through the resolver.
  * options:
- *   baseDir  {string} – directory used to resolve relative locations.
+ *   baseDir  {string} – directory (or URL) used to resolve relative locations.
  *                       Defaults to process.cwd().
- *   _visited {Set}    – internal; callers should not set this.
+ *   catalog  {object} – optional catalog from loadCatalog()/parseCatalog().
+ *   resolver {Function} – optional (location, base) → Promise<{ content, location }>.
+ *                       Defaults to defaultResolver.
+ *   location {string} – optional location of the root document itself. It is
+ *                       recorded as the source of the root's declarations and,
+ *                       when baseDir is omitted, relative imports are resolved
+ *                       against it.
+ *   graph    {object} – optional { nodes: [], edges: [] } (see graph.js) that
+ *                       is filled with the import/include graph as documents
+ *                       are loaded.
+ *   concurrency {number} – how many documents may be fetched at once.
+ *                       Defaults to 8.
+ *
+ * Every node of every loaded document is tagged (SOURCE_FILE) with the
+ * location it was read from, so model.js can report where a declaration lives
+ * after the documents have been merged.
+ *
+ * Fetching is concurrent, merging is not: as soon as a document is parsed,
+ * every document it imports is fetched and parsed in the background (at most
+ * `concurrency` resolver calls at a time, each location once). The imports
+ * are then resolved and merged one by one in document order, depth first,
+ * taking the prefetched documents as they become ready, so the merged result
+ * and the graph do not depend on which fetch finishes first. A prefetch that
+ * fails is only reported when its import is reached.
+ *
+ * Internally the recursive helpers share a context object
+ * { visited, catalog, resolver, graph, documents, limit, schemas, replacements },
+ * where visited maps every location tried so far to the canonical location
+ * the resolver returned for it, documents holds the prefetches by kind and
+ * location, limit queues the resolver calls, schemas holds each loaded schema
+ * by location and replacements maps the components a redefine or override of
+ * an already loaded schema replaced to their replacements. Each helper also
+ * receives the document it works on as { location, base, chain }: its own
+ * location (undefined for a root given only as a string), the base for its
+ * relative imports, and the locations of the documents that led to it; for
+ * the inline schemas of a WSDL it also carries their namespaces as inline. An
+ * import of a location in the chain is a cycle; an import of any other
+ * visited location is a repeat. Both are skipped (and marked in the graph),
+ * except that a redefine or override still applies its replacements.
  */
 
 import { readFile } from 'node:fs/promises';
 import { resolve, dirname as pathDirname } from 'node:path';
-import { XMLParser } from 'fast-xml-parser';
-import { parseWsdl } from './parse.js';
-import { arr } from './util.js';
+import { fileURLToPath } from 'node:url';
+import { fetchCached } from './cache.js';
+import { parseWsdl, parseXml } from './parse.js';
+import { applyRedefinitions } from './redefine.js';
+import {
+  arr,
+  wsdlRoot,
+  hasScheme,
+  formatSource,
+  targetNamespace,
+  qnameKey,
+  NS_SCOPE,
+  TARGET_NS,
+  SOURCE_FILE,
+  SOURCE_POS,
+} from './util.js';
+import { ROOT_LOCATION } from './graph.js';
+import { isArchiveLocation, readArchiveSource } from './archive.js';
 
-const XSD_TYPE_KEYS = ['element', 'complexType', 'simpleType', 'group', 'attributeGroup'];
-const WSDL_DEF_KEYS = ['message', 'portType', 'binding', 'service'];
+const XSD_TYPE_KEYS = [
+  'element',
+  'complexType',
+  'simpleType',
+  'group',
+  'attribute',
+  'attributeGroup',
+];
+const WSDL_DEF_KEYS = ['message', 'portType', 'interface', 'binding', 'service'];
+const REDEFINING_KINDS = new Set(['redefine', 'override']);
+const XSD_ARRAY_TAGS = new Set([
+  'element',
+  'complexType',
+  'simpleType',
+  'enumeration',
+  'sequence',
+  'all',
+  'choice',
+  'import',
+  'include',
+  'annotation',
+  'documentation',
+]);
+const DEFAULT_CONCURRENCY = 8;
 
 /**
  * @param {string} xml       Raw WSDL XML string.
  * @param {object} [options]
- * @param {string} [options.baseDir]  Directory for resolving relative imports.
+ * @param {string} [options.baseDir]  Directory or URL for resolving relative imports.
+ * @param {string} [options.location] Path or URL of the root document.
+ * @param {{ nodes: Array, edges: Array }} [options.graph]  Filled with the import graph.
+ * @param {{ resolve: (uri: string) => string|null, resolveNamespace: (namespace: string) => string|null }} [options.catalog]
+ *                                    Catalog redirecting locations and namespaces.
+ * @param {(location: string, base: string) => Promise<{ content: string, location: string }>} [options.resolver]
+ *                                    Fetches import sources; defaults to defaultResolver.
+ * @param {number} [options.concurrency]  Maximum number of concurrent fetches.
  * @returns {Promise<object>}         Merged raw object ready for buildModel().
  */
-export async function loadWsdl(xml, { baseDir = process.cwd() } = {}) {
-  const visited = new Set();
-  return resolveWsdl(xml, baseDir, visited);
+export async function loadWsdl(
+  xml,
+  {
+    location,
+    baseDir = location ? baseOf(location) : process.cwd(),
+    catalog,
+    resolver = defaultResolver,
+    graph,
+    concurrency = DEFAULT_CONCURRENCY,
+  } = {},
+) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+  }
+  const visited = new Map(location ? [[location, location]] : []);
+  const ctx = {
+    visited,
+    catalog,
+    resolver,
+    graph,
+    documents: new Map(),
+    limit: createLimit(concurrency),
+    schemas: new Map(),
+    replacements: new Map(),
+  };
+  const raw = parseWsdl(xml, location);
+  if (location) markSource(raw, location);
+  prefetchImports('wsdl', raw, baseDir, ctx);
+  await resolveWsdl(raw, { location, base: baseDir, chain: location ? [location] : [] }, ctx);
+  replaceRedefined(wsdlRoot(raw), ctx.replacements);
+  return raw;
+}
+
+/**
+ * Loads a WSDL from a location – file path, URL, or ZIP/JAR archive (see
+ * archive.js) – and resolves its imports like loadWsdl(). The resolver option
+ * is used for the root document too.
+ *
+ * @param {string} location  Path or URL of the WSDL, "<archive>" or "<archive>!/<entry>".
+ * @param {object} [options] Same as loadWsdl(), except location.
+ * @returns {Promise<object>}
+ */
+export async function loadWsdlFrom(location, { resolver = defaultResolver, ...options } = {}) {
+  const source = await resolver(location, process.cwd());
+  return loadWsdl(source.content, { ...options, resolver, location: source.location });
+}
+
+/**
+ * Creates the built-in resolver, which reads local files, entries of local
+ * ZIP/JAR archives and fetches http(s) URLs. With cacheDir, http(s) responses
+ * are cached on disk and revalidated on later runs (see cache.js).
+ *
+ * @param {object} [options]
+ * @param {string} [options.cacheDir]  Directory for the HTTP cache.
+ * @returns {(location: string, base: string) => Promise<{ content: string, location: string }>}
+ */
+export function createResolver({ cacheDir } = {}) {
+  return async (location, base) => {
+    const absLoc = resolveLocation(location, base);
+    if (!hasScheme(absLoc) && isArchiveLocation(absLoc)) return readArchiveSource(absLoc);
+    return { content: await fetchSource(absLoc, cacheDir), location: absLoc };
+  };
+}
+
+/**
+ * The built-in resolver without an HTTP cache. It is called with the location
+ * as written in the import (or a catalog target) and the location of the
+ * importing document (or the root baseDir).
+ */
+export const defaultResolver = createResolver();
+
+/**
+ * Resolves a possibly relative location against a base. Locations with a
+ * scheme are returned unchanged; against a base with a scheme the join uses
+ * URL semantics; otherwise it is a file path relative to the base directory.
+ *
+ * @param {string} location
+ * @param {string} base
+ * @returns {string}
+ */
+export function resolveLocation(location, base) {
+  if (hasScheme(location)) return location;
+  if (hasScheme(base)) return new URL(location, base).href;
+  return resolve(base, location);
 }
 
 /**
- * Parses a WSDL XML string, resolves all imports recursively, and returns
+ * Resolves all imports of a parsed WSDL document recursively, and returns
  * the merged raw object.
  *
- * @param {string} xml
- * @param {string} baseDir
- * @param {Set<string>} visited
+ * @param {object} raw  Output of parseWsdl().
+ * @param {{ location?: string, base: string, chain: string[] }} doc
+ * @param {object} ctx
  * @returns {Promise<object>}
  */
-async function resolveWsdl(xml, baseDir, visited) {
-  const raw = parseWsdl(xml);
-  const defs = raw['definitions'];
-  const schema = ensureSchema(defs);
-  await resolveXsdImports(schema, baseDir, visited);
-  await resolveWsdlImports(defs, baseDir, visited);
+async function resolveWsdl(raw, doc, ctx) {
+  const defs = wsdlRoot(raw);
+  const schemas = ensureSchemas(defs);
+  recordNode(ctx, doc, 'wsdl', defs['@_targetNamespace'], [
+    ...WSDL_DEF_KEYS.map((key) => [key, arr(defs[key]).length]),
+    ...XSD_TYPE_KEYS.map((key) => [key, schemas.reduce((n, s) => n + arr(s[key]).length, 0)]),
+  ]);
+  const inline = inlineNamespaces(schemas);
+  for (const schema of schemas) {
+    await resolveXsdImports(schema, { ...doc, inline }, ctx);
+  }
+  await resolveWsdlImports(defs, doc, ctx);
   return raw;
 }
 
 /**
- * Resolves <xsd:import> and <xsd:include> elements inside a schema node by
- * fetching the referenced XSD source, parsing it, and merging its top-level
- * type declarations into schema.
+ * Resolves <xsd:import>, <xsd:include>, <xsd:redefine> and <xsd:override>
+ * elements inside a schema node by fetching the referenced XSD source,
+ * parsing it, applying any redefinitions, and merging its top-level type
+ * declarations into schema. A schema without a targetNamespace that is
+ * included (or redefined, or overridden) takes on the namespace of schema.
+ * A redefine or override of a schema merged already only records its
+ * replacements in ctx.replacements, for replaceRedefined().
  *
  * @param {object} schema
- * @param {string} baseDir
- * @param {Set<string>} visited
+ * @param {{ location?: string, base: string, chain: string[], inline?: Set<string> }} doc
+ * @param {object} ctx
  */
-async function resolveXsdImports(schema, baseDir, visited) {
-  for (const imp of [...arr(schema['import']), ...arr(schema['include'])]) {
+async function resolveXsdImports(schema, doc, ctx) {
+  for (const [kind, imp] of importsOf(schema)) {
+    const includerNs = kind === 'import' ? '' : targetNamespace(schema);
     const loc = imp['@_schemaLocation'];
-    if (!loc) continue;
-    const absLoc = absoluteLocation(loc, baseDir);
-    if (visited.has(absLoc)) continue;
-    visited.add(absLoc);
-    const xsdXml = await fetchSource(absLoc);
-    const importedSchema = parseXsd(xsdXml);
-    const importedBaseDir = baseDirOf(absLoc);
-    await resolveXsdImports(importedSchema, importedBaseDir, visited);
+    const loaded = await loadImport(imp, loc, kind, 'xsd', doc, ctx, includerNs);
+    if (!loaded) continue;
+    if (loaded.repeat) {
+      for (const [original, updated] of applyRedefinitions(loaded.parsed, imp, kind)) {
+        ctx.replacements.set(original, updated);
+      }
+      continue;
+    }
+    const { source, parsed: importedSchema } = loaded;
+    const importedDoc = childDoc(doc, source.location);
+    recordNode(
+      ctx,
+      importedDoc,
+      'xsd',
+      importedSchema['@_targetNamespace'],
+      XSD_TYPE_KEYS.map((key) => [key, arr(importedSchema[key]).length]),
+    );
+    await resolveXsdImports(importedSchema, importedDoc, ctx);
+    if (REDEFINING_KINDS.has(kind)) applyRedefinitions(importedSchema, imp, kind);
     mergeSchema(schema, importedSchema);
   }
 }
 
 /**
- * Resolves <wsdl:import> elements inside a definitions node by fetching the
- * referenced WSDL, parsing it (with its own imports resolved), and merging
- * its messages, portTypes, bindings, and services into defs.
+ * Resolves <wsdl:import> (and WSDL 2.0 <wsdl:include>) elements inside a
+ * root node by fetching the referenced WSDL, parsing it (with its own imports
+ * resolved), and merging its messages, portTypes, interfaces, bindings, and
+ * services into defs.
  *
  * @param {object} defs
- * @param {string} baseDir
- * @param {Set<string>} visited
+ * @param {{ location?: string, base: string, chain: string[] }} doc
+ * @param {object} ctx
+ */
+async function resolveWsdlImports(defs, doc, ctx) {
+  for (const [kind, imp] of importsOf(defs)) {
+    const loaded = await loadImport(imp, imp['@_location'], kind, 'wsdl', doc, ctx);
+    if (!loaded) continue;
+    const importedRaw = await resolveWsdl(
+      loaded.parsed,
+      childDoc(doc, loaded.source.location),
+      ctx,
+    );
+    mergeWsdlDefs(defs, wsdlRoot(importedRaw));
+  }
+}
+
+/**
+ * Lists the import, include, redefine and override elements of a schema or
+ * WSDL root as [kind, node] pairs.
+ *
+ * @param {object} node
+ * @returns {Array<[string, object]>}
+ */
+function importsOf(node) {
+  return ['import', 'include', 'redefine', 'override'].flatMap((kind) =>
+    arr(node[kind]).map((imp) => [kind, imp]),
+  );
+}
+
+/**
+ * @param {{ location?: string, base: string, chain: string[] }} parent
+ * @param {string} location  Canonical location of the imported document.
+ * @returns {{ location: string, base: string, chain: string[] }}
+ */
+function childDoc(parent, location) {
+  return { location, base: baseOf(location), chain: [...parent.chain, location] };
+}
+
+/**
+ * Adds a loaded document to the import graph, when one is being collected.
+ * Only non-zero declaration counts are kept.
+ *
+ * @param {object} ctx
+ * @param {{ location?: string }} doc
+ * @param {'wsdl'|'xsd'} kind
+ * @param {string|undefined} targetNamespace
+ * @param {Array<[string, number]>} counts
+ */
+function recordNode(ctx, doc, kind, targetNamespace, counts) {
+  // A chameleon schema is loaded once per including namespace but is one file.
+  if (ctx.graph?.nodes.some((node) => node.location === doc.location)) return;
+  ctx.graph?.nodes.push({
+    location: doc.location ?? ROOT_LOCATION,
+    kind,
+    targetNamespace: targetNamespace ?? '',
+    declarations: Object.fromEntries(counts.filter(([, n]) => n > 0)),
+  });
+}
+
+/**
+ * Adds an import/include edge to the import graph, when one is being
+ * collected. status is "loaded", "cycle", "repeat" or "unresolved" (nothing
+ * to load: no location and no catalog entry; to is null then).
+ *
+ * @param {object} ctx
+ * @param {{ location?: string }} doc
+ * @param {string|null} to
+ * @param {string} kind
+ * @param {string} status
+ * @param {string|undefined} namespace
+ */
+function recordEdge(ctx, doc, to, kind, status, namespace) {
+  ctx.graph?.edges.push({
+    from: doc.location ?? ROOT_LOCATION,
+    to,
+    kind,
+    status,
+    namespace: namespace ?? '',
+  });
+}
+
+/**
+ * Tags every object node of a freshly parsed document with the location it
+ * was read from. The symbol is non-enumerable so it never shows up as data.
+ *
+ * @param {unknown} node
+ * @param {string} location
  */
-async function resolveWsdlImports(defs, baseDir, visited) {
-  for (const imp of arr(defs['import'])) {
-    const loc = imp['@_location'];
-    if (!loc) continue;
-    const absLoc = absoluteLocation(loc, baseDir);
-    if (visited.has(absLoc)) continue;
-    visited.add(absLoc);
-    const importedXml = await fetchSource(absLoc);
-    const importedRaw = await resolveWsdl(importedXml, baseDirOf(absLoc), visited);
-    mergeWsdlDefs(defs, importedRaw['definitions']);
+function markSource(node, location) {
+  if (Array.isArray(node)) {
+    for (const child of node) markSource(child, location);
+    return;
   }
+  if (!node || typeof node !== 'object') return;
+  Object.defineProperty(node, SOURCE_FILE, { value: location });
+  for (const child of Object.values(node)) markSource(child, location);
 }
 
 /**
- * Returns the schema node from a definitions object, creating an empty one
- * when the types or schema element is absent.
+ * Returns the inline schema nodes of a WSDL root object, creating a single
+ * empty one when the types or schema element is absent. Empty <schema/>
+ * elements (parsed as strings) are replaced by empty objects.
  *
  * @param {object} defs
- * @returns {object}
+ * @returns {object[]}
  */
-function ensureSchema(defs) {
-  if (!defs['types']) defs['types'] = {};
-  if (!defs['types']['schema']) defs['types']['schema'] = {};
+function ensureSchemas(defs) {
+  if (!defs['types'] || typeof defs['types'] !== 'object') defs['types'] = {};
+  const schemas = arr(defs['types']['schema']).map((s) => (s && typeof s === 'object' ? s : {}));
+  defs['types']['schema'] = schemas.length ? schemas : [{}];
   return defs['types']['schema'];
 }
 
 /**
  * Appends top-level XSD declarations (element, complexType, simpleType, …)
- * from src into dest by concatenating the arrays for each key.
+ * from src into dest, growing the arrays of dest in place so that merging
+ * many schemas into one stays linear.
  *
  * @param {object} dest  Schema node to merge into.
  * @param {object} src   Schema node to merge from.
@@ -138,48 +443,65 @@ function mergeSchema(dest, src) {
   for (const key of XSD_TYPE_KEYS) {
     const srcItems = arr(src[key]);
     if (!srcItems.length) continue;
-    dest[key] = [...arr(dest[key]), ...srcItems];
+    if (!Array.isArray(dest[key])) dest[key] = arr(dest[key]);
+    for (const item of srcItems) dest[key].push(item);
   }
 }
 
 /**
- * Appends WSDL definition nodes (message, portType, binding, service) from
- * src into dest, deduplicating by @_name to avoid double-rendering when the
- * same file is transitively imported more than once.
+ * Appends WSDL definition nodes (message, portType, interface, binding,
+ * service) from src into dest, deduplicating by qualified name (the
+ * targetNamespace of the declaring document and @_name) to avoid
+ * double-rendering when the same file is transitively imported more than
+ * once, while keeping same-named definitions from different namespaces. The
+ * inline schemas of src are appended to those of dest.
  *
  * @param {object} dest  Definitions node to merge into.
  * @param {object} src   Definitions node to merge from.
  */
 function mergeWsdlDefs(dest, src) {
+  const srcSchemas = arr(src['types']?.['schema']);
+  if (srcSchemas.length) dest['types']['schema'] = [...ensureSchemas(dest), ...srcSchemas];
   for (const key of WSDL_DEF_KEYS) {
     const srcItems = arr(src[key]);
     if (!srcItems.length) continue;
     const destItems = arr(dest[key]);
-    const existingNames = new Set(destItems.map((n) => n['@_name']));
-    const newItems = srcItems.filter((n) => !existingNames.has(n['@_name']));
+    const keyOf = (n) => qnameKey({ namespace: targetNamespace(n), localName: n['@_name'] });
+    const existing = new Set(destItems.map(keyOf));
+    const newItems = srcItems.filter((n) => !existing.has(keyOf(n)));
     dest[key] = [...destItems, ...newItems];
   }
 }
 
+/**
+ * Swaps every component that a redefine or override of an already merged
+ * schema replaced for its replacement, in the inline schemas of defs. A
+ * component redefined more than once ends up as the last replacement.
+ *
+ * @param {object} defs
+ * @param {Map<object, object>} replacements  Replaced component → replacement.
+ */
+function replaceRedefined(defs, replacements) {
+  if (!replacements.size) return;
+  const latest = (item) => (replacements.has(item) ? latest(replacements.get(item)) : item);
+  for (const schema of ensureSchemas(defs)) {
+    for (const key of XSD_TYPE_KEYS) {
+      if (schema[key]) schema[key] = arr(schema[key]).map(latest);
+    }
+  }
+}
+
 /**
  * Parses a standalone XSD document and returns the schema node.
- * Uses the same XMLParser settings as parseWsdl (namespace stripping, arrays).
+ * Uses the same parser settings as parseWsdl (namespace stripping and
+ * annotation), with an XSD-specific set of array elements.
  *
  * @param {string} xml
  * @returns {object}  The <schema> node.
  */
 function parseXsd(xml) {
-  const parser = new XMLParser({
-    ignoreAttributes: false,
-    attributeNamePrefix: '@_',
-    removeNSPrefix: true,
-    isArray: isXsdArrayTag,
-    parseAttributeValue: false,
-    trimValues: true,
-    processEntities: true,
-  });
-  const result = parser.parse(xml);
-  return result['schema'] ?? result['definitions']?.['types']?.['schema'] ?? {};
+  const result = parseXml(xml, isXsdArrayTag);
+  return result['schema'] ?? arr(wsdlRoot(result)?.['types']?.['schema'])[0] ?? {};
 }
 
 /**
@@ -191,70 +513,271 @@ function parseXsd(xml) {
  */
 function isXsdArrayTag(_tagName, _jPath, _isLeaf, _isAttribute) {
   if (_isAttribute) return false;
-  return new Set([
-    'element',
-    'complexType',
-    'simpleType',
-    'enumeration',
-    'sequence',
-    'all',
-    'choice',
-    'import',
-    'include',
-    'annotation',
-    'documentation',
-  ]).has(_tagName);
+  return XSD_ARRAY_TAGS.has(_tagName);
 }
 
 /**
- * Resolves a location to an absolute path or URL.
- * Relative paths are resolved against baseDir. URLs are returned unchanged.
+ * Starts fetching and parsing every document that a freshly parsed document
+ * imports: the schema imports of its inline schemas and its WSDL imports, or
+ * the imports and includes of a standalone schema.
  *
- * @param {string} loc
- * @param {string} baseDir
- * @returns {string}
+ * @param {'wsdl'|'xsd'} docKind  Kind of the parsed document.
+ * @param {object} parsed         parseWsdl() output, or the <schema> node.
+ * @param {string} base           Base for its relative imports.
+ * @param {object} ctx
  */
-function absoluteLocation(loc, baseDir) {
-  if (isUrl(loc)) return loc;
-  return resolve(baseDir, loc);
+function prefetchImports(docKind, parsed, base, ctx) {
+  const defs = docKind === 'wsdl' ? wsdlRoot(parsed) : null;
+  const schemas = defs ? arr(defs['types']?.['schema']) : [parsed];
+  const inline = defs ? inlineNamespaces(schemas) : undefined;
+  for (const schema of schemas.filter((s) => s && typeof s === 'object')) {
+    for (const [, imp] of importsOf(schema)) {
+      const { '@_schemaLocation': loc, '@_namespace': namespace } = imp;
+      const target = importLocation(loc, namespace, base, ctx, inline);
+      if (target) fetchDocument(target, base, 'xsd', ctx);
+    }
+  }
+  for (const [, imp] of defs ? importsOf(defs) : []) {
+    const target = importLocation(imp['@_location'], imp['@_namespace'], base, ctx);
+    if (target) fetchDocument(target, base, 'wsdl', ctx);
+  }
 }
 
 /**
- * Returns the base directory for resolving further relative imports inside
- * the document at the given location.
+ * Fetches a document through the resolver (queued behind ctx.limit), parses
+ * it as docKind and starts prefetching its own imports. Each kind and
+ * location is fetched once; later calls get the same promise.
  *
- * @param {string} absLoc  Absolute path or URL of the already-loaded file.
- * @returns {string}
+ * @param {string} target         Location to hand to the resolver.
+ * @param {string} base
+ * @param {'wsdl'|'xsd'} docKind
+ * @param {object} ctx
+ * @returns {Promise<{ source: { content: string, location: string }, parsed: object }>}
  */
-function baseDirOf(absLoc) {
-  if (isUrl(absLoc)) {
-    const url = new URL(absLoc);
-    url.pathname = url.pathname.slice(0, url.pathname.lastIndexOf('/') + 1);
-    return url.toString();
+function fetchDocument(target, base, docKind, ctx) {
+  const key = `${docKind} ${resolveLocation(target, base)}`;
+  if (!ctx.documents.has(key)) {
+    const pending = ctx
+      .limit(() => ctx.resolver(target, base))
+      .then((source) => {
+        const parsed =
+          docKind === 'xsd' ? parseXsd(source.content) : parseWsdl(source.content, source.location);
+        markSource(parsed, source.location);
+        prefetchImports(docKind, parsed, baseOf(source.location), ctx);
+        return { source, parsed };
+      });
+    // Reported by loadImport() when the import is reached, and not at all otherwise.
+    pending.catch(() => {});
+    ctx.documents.set(key, pending);
   }
-  return pathDirname(absLoc);
+  return ctx.documents.get(key);
+}
+
+/**
+ * Returns a function that runs async tasks with at most concurrency of them
+ * in flight at once, queueing the rest in call order.
+ *
+ * @param {number} concurrency
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>}
+ */
+function createLimit(concurrency) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || !queue.length) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Returns the (prefetched) document an import points at, unless there is
+ * nothing to load or the document was loaded already – null is returned in
+ * both cases. Visited-tracking uses the joined location before fetching and
+ * the resolver's canonical location afterwards. Errors from fetching or
+ * parsing are rethrown naming the import element and where it is.
+ *
+ * When includerNs is given and the included schema has no targetNamespace
+ * (a chameleon include), the schema takes on includerNs: it is visited once
+ * per including namespace and returned as a fresh copy retargeted to it (see
+ * adoptNamespace()), so each namespace gets its own components.
+ *
+ * A redefine or override of a schema loaded already is not skipped: it gets
+ * that schema back, marked as a repeat, so its replacements can still be
+ * applied to the components merged from it.
+ *
+ * @param {object} imp                  The import/include element.
+ * @param {string|undefined} loc        Its schemaLocation= / location= as written.
+ * @param {string} kind                 "import", "include", "redefine" or "override".
+ * @param {'wsdl'|'xsd'} docKind        Kind of document the import refers to.
+ * @param {{ location?: string, base: string, chain: string[], inline?: Set<string> }} doc
+ * @param {object} ctx
+ * @param {string} [includerNs]         Namespace of the including schema, for includes.
+ * @returns {Promise<{ source?: { content: string, location: string }, parsed: object, repeat?: boolean }|null>}
+ */
+async function loadImport(imp, loc, kind, docKind, doc, ctx, includerNs = '') {
+  const namespace = imp['@_namespace'];
+  const target = importLocation(loc, namespace, doc.base, ctx, doc.inline);
+  if (!target) {
+    recordEdge(ctx, doc, null, kind, 'unresolved', namespace);
+    return null;
+  }
+  const key = resolveLocation(target, doc.base);
+  const fetchImport = () =>
+    fetchDocument(target, doc.base, docKind, ctx).catch((err) => {
+      const where = formatSource({ file: doc.location ?? null, ...imp[SOURCE_POS] });
+      const message = `Cannot load ${kind} "${target}"${where ? ` at ${where}` : ''}`;
+      throw new Error(`${message}: ${err.message}`, { cause: err });
+    });
+  const chameleon = !!includerNs && !(await fetchImport()).parsed['@_targetNamespace'];
+  const visitKey = (location) => (chameleon ? `${location} {${includerNs}}` : location);
+  const revisit = (location) => {
+    const schema =
+      REDEFINING_KINDS.has(kind) && ctx.schemas.get(visitKey(ctx.visited.get(location)));
+    return schema ? { parsed: schema, repeat: true } : null;
+  };
+  if (skipVisited(visitKey(key), kind, doc, ctx)) return revisit(visitKey(key));
+  ctx.visited.set(visitKey(key), key);
+  const loaded = await fetchImport();
+  const { source } = loaded;
+  if (source.location !== key) {
+    ctx.visited.set(visitKey(key), source.location);
+    if (skipVisited(visitKey(source.location), kind, doc, ctx)) {
+      return revisit(visitKey(source.location));
+    }
+    ctx.visited.set(visitKey(source.location), source.location);
+  }
+  recordEdge(ctx, doc, source.location, kind, 'loaded', namespace);
+  let result = loaded;
+  if (chameleon) {
+    const copy = parseXsd(source.content);
+    markSource(copy, source.location);
+    result = { source, parsed: adoptNamespace(copy, includerNs) };
+  }
+  if (docKind === 'xsd') ctx.schemas.set(visitKey(source.location), result.parsed);
+  return result;
+}
+
+/**
+ * Moves a schema without a targetNamespace into namespace: every node gets
+ * it as its target namespace, and unprefixed references, which would mean
+ * "no namespace", are bound to it unless a default namespace is declared.
+ *
+ * @param {unknown} node
+ * @param {string} namespace
+ * @param {Map<object, object>} [scopes]  Retargeted copies of shared scope objects.
+ * @returns {unknown}  node
+ */
+function adoptNamespace(node, namespace, scopes = new Map()) {
+  if (Array.isArray(node)) {
+    for (const child of node) adoptNamespace(child, namespace, scopes);
+    return node;
+  }
+  if (!node || typeof node !== 'object') return node;
+  const scope = node[NS_SCOPE];
+  if (scope && !('' in scope)) {
+    if (!scopes.has(scope)) scopes.set(scope, { ...scope, '': namespace });
+    node[NS_SCOPE] = scopes.get(scope);
+  }
+  node[TARGET_NS] = namespace;
+  for (const [key, child] of Object.entries(node)) {
+    if (!key.startsWith('@_')) adoptNamespace(child, namespace, scopes);
+  }
+  return node;
 }
 
 /**
- * @param {string} loc
+ * True when location was loaded already. The skipped edge is recorded as a
+ * cycle when the location is one of the documents that led to doc, and as a
+ * repeat otherwise.
+ *
+ * @param {string} location
+ * @param {string} kind
+ * @param {{ location?: string, chain: string[] }} doc
+ * @param {object} ctx
  * @returns {boolean}
  */
-function isUrl(loc) {
-  return loc.startsWith('http://') || loc.startsWith('https://');
+function skipVisited(location, kind, doc, ctx) {
+  if (!ctx.visited.has(location)) return false;
+  const canonical = ctx.visited.get(location);
+  recordEdge(ctx, doc, canonical, kind, doc.chain.includes(canonical) ? 'cycle' : 'repeat');
+  return true;
+}
+
+/**
+ * Works out the location to load for an import, consulting the catalog
+ * first. Returns null when there is nothing to load – no location and no
+ * catalog entry for the namespace. The namespace is only matched against the
+ * catalog's exact entries, and not at all when it is one of inline.
+ *
+ * @param {string|undefined} loc        schemaLocation= / location= as written.
+ * @param {string|undefined} namespace  namespace= attribute of the import.
+ * @param {string} base
+ * @param {object} ctx
+ * @param {Set<string>} [inline]        Namespaces of the importing WSDL's inline schemas.
+ * @returns {string|null}
+ */
+function importLocation(loc, namespace, base, ctx, inline) {
+  const absLoc = loc ? resolveLocation(loc, base) : null;
+  const mapped =
+    ctx.catalog?.resolve(loc) ??
+    ctx.catalog?.resolve(absLoc) ??
+    (inline?.has(namespace) ? null : ctx.catalog?.resolveNamespace(namespace));
+  return mapped ?? loc ?? null;
+}
+
+/**
+ * @param {object[]} schemas  Inline schema nodes of a WSDL.
+ * @returns {Set<string>}     Their target namespaces.
+ */
+function inlineNamespaces(schemas) {
+  return new Set(schemas.filter((s) => s && typeof s === 'object').map(targetNamespace));
+}
+
+/**
+ * Returns the base for resolving further relative imports inside the
+ * document at the given location: the containing directory for file paths,
+ * and the URL itself for locations with a scheme (URL resolution drops the
+ * last path segment on its own).
+ *
+ * @param {string} absLoc  Absolute path or URL of the already-loaded file.
+ * @returns {string}
+ */
+function baseOf(absLoc) {
+  if (hasScheme(absLoc)) return absLoc;
+  return pathDirname(absLoc);
 }
 
 /**
  * Fetches the content of a URL or local file path and returns it as a UTF-8
  * string. Throws an Error with the location in the message on failure.
  *
- * @param {string} absLoc  Absolute file path or http(s) URL.
+ * @param {string} absLoc  Absolute file path, file: URL or http(s) URL.
+ * @param {string} [cacheDir]  HTTP cache directory (see cache.js).
  * @returns {Promise<string>}
  */
-async function fetchSource(absLoc) {
-  if (isUrl(absLoc)) {
+async function fetchSource(absLoc, cacheDir) {
+  if (absLoc.startsWith('http://') || absLoc.startsWith('https://')) {
+    if (cacheDir) return fetchCached(absLoc, cacheDir);
     const res = await fetch(absLoc);
     if (!res.ok) throw new Error(`Failed to fetch ${absLoc}: HTTP ${res.status}`);
     return res.text();
   }
+  if (absLoc.startsWith('file://')) return readFile(fileURLToPath(absLoc), 'utf8');
+  if (hasScheme(absLoc)) {
+    throw new Error(`Cannot load ${absLoc}: unsupported scheme; pass a custom resolver.`);
+  }
   return readFile(absLoc, 'utf8');
 }
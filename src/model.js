@@ -9,41 +9,114 @@
  *
  * The returned model object has the shape:
  * {
+ *   wsdlVersion: '1.1'|'2.0',
  *   name: string,
  *   targetNamespace: string,
  *   documentation: string,
- *   types:      Array<{ name, kind, documentation, fields, enumerations }>,
- *   messages:   Array<{ name, parts: Array<{ name, element, type }> }>,
- *   operations: Array<{ name, documentation, input, output, faults }>,
- *   bindings:   Array<{ name, type, style, transport, protocol, operations }>,
- *   endpoints:  Array<{ service, port, binding, url }>,
+ *   types:      Array<{ name, namespace, kind, documentation, abstract, final, block, base,
+ *                      baseRef, derivation, content, simpleContent, fields, attributes,
+ *                      enumerations, facets, itemType, memberTypes, source, redefinition }>,
+ *   groups:     Array<{ name, namespace, kind: 'group', documentation, content, fields, source,
+ *                      redefinition }>,
+ *   elements:   Array<{ name, namespace, type, typeRef, abstract, final, block, nillable,
+ *                      default, fixed, substitutionGroup, substitutionGroupRef, source }>,
+ *   messages:   Array<{ name, namespace, parts: Array<{ name, element, type, elementRef, typeRef }>, source }>,
+ *   portTypes:  Array<{ name, namespace, extends, source }>,
+ *   operations: Array<{ name, documentation, pattern, parameterOrder, input, output, inputRef,
+ *                      outputRef, faults, source }>,
+ *   bindings:   Array<{ name, type, typeRef, style, transport, protocol, operations, source }>,
+ *   endpoints:  Array<{ service, port, binding, bindingRef, url }>,
  * }
  *
- * Namespace prefixes in attribute values (e.g. "tns:AddRequest") are stripped
- * via stripNs() so consumers always see bare local names.
+ * Every reference keeps its bare local name (stripped via stripNs()) for
+ * display and its qualified form next to it (`typeRef`, `elementRef`,
+ * `inputRef`, …) as { namespace, localName }, or null when absent; resolve.js
+ * matches on the qualified names so same-named declarations from different
+ * schemas do not collide. `source` is { file, line, column } of the
+ * declaration (see load.js and parse.js), or null when unknown.
+ *
+ * A type's `fields` are only those it declares itself – resolve.js follows
+ * `base` for inherited ones – and `content` is the compositor tree that holds
+ * them (see extractContent()). WSDL 2.0 documents (<description> root) are
+ * mapped onto the same shape (see buildDescriptionModel()); `wsdlVersion`
+ * tells the two apart.
  */
 
-import { stripNs, text, arr } from './util.js';
+import { REDEFINITION } from './redefine.js';
+import { stripNs, text, arr, qname, qnameKey, targetNamespace, sourceOf } from './util.js';
+
+const COMPOSITOR_KEYS = ['sequence', 'choice', 'all'];
+const MODEL_GROUP_KEYS = [...COMPOSITOR_KEYS, 'group'];
+const FACET_KEYS = [
+  'pattern',
+  'length',
+  'minLength',
+  'maxLength',
+  'minInclusive',
+  'maxInclusive',
+  'minExclusive',
+  'maxExclusive',
+  'totalDigits',
+  'fractionDigits',
+  'whiteSpace',
+];
 
 /**
  * @param {object} raw  Output of parseWsdl().
  * @returns {object}    Normalised model object.
  */
 export function buildModel(raw) {
+  if (raw['description']) return buildDescriptionModel(raw['description']);
   const defs = raw['definitions'];
-  const schema = defs?.['types']?.['schema'] ?? {};
+  const schemas = arr(defs?.['types']?.['schema']);
   return {
+    wsdlVersion: '1.1',
     name: defs['@_name'] ?? '',
     targetNamespace: defs['@_targetNamespace'] ?? '',
     documentation: getDoc(defs),
-    types: extractTypes(schema),
+    types: extractTypes(schemas),
+    groups: extractGroups(schemas),
+    elements: extractElements(schemas),
     messages: extractMessages(arr(defs['message'])),
+    portTypes: extractPortTypes(arr(defs['portType'])),
     operations: extractOperations(arr(defs['portType'])),
     bindings: extractBindings(arr(defs['binding'])),
     endpoints: extractEndpoints(arr(defs['service'])),
   };
 }
 
+/**
+ * Builds the model for a WSDL 2.0 <description> root. The description element
+ * carries no name, so the first service (or interface) name is used instead.
+ * Interfaces become portTypes and their operations operations, named by their
+ * pattern URI (e.g. "in-out" or "robust-in-only"); since WSDL 2.0 has no
+ * <message> elements, one synthetic single-part message stands in for each
+ * schema element an operation or interface fault refers to. Bindings are read
+ * from the wsoap:/whttp: attributes and service endpoints become endpoints.
+ *
+ * @param {object} desc
+ * @returns {object}
+ */
+function buildDescriptionModel(desc) {
+  const schemas = arr(desc['types']?.['schema']);
+  const interfaces = arr(desc['interface']);
+  const services = arr(desc['service']);
+  return {
+    wsdlVersion: '2.0',
+    name: desc['@_name'] ?? services[0]?.['@_name'] ?? interfaces[0]?.['@_name'] ?? '',
+    targetNamespace: desc['@_targetNamespace'] ?? '',
+    documentation: getDoc(desc),
+    types: extractTypes(schemas),
+    groups: extractGroups(schemas),
+    elements: extractElements(schemas),
+    messages: extractInterfaceMessages(interfaces),
+    portTypes: extractPortTypes(interfaces),
+    operations: extractInterfaceOperations(interfaces),
+    bindings: extractDescriptionBindings(arr(desc['binding']), interfaces),
+    endpoints: extractServiceEndpoints(services),
+  };
+}
+
 /**
  * Extracts documentation text from a node, checking both a direct
  * <documentation> child (WSDL style) and the XSD <annotation><documentation>
@@ -61,120 +134,645 @@ function getDoc(node) {
 }
 
 /**
- * Builds the types array from an XSD schema node. Covers inline complexTypes
- * nested inside top-level elements, named complexTypes, and named simpleTypes.
+ * Builds the types array from the inline XSD schema nodes (a WSDL may carry
+ * one per namespace). Covers inline complexTypes nested inside top-level
+ * elements, named complexTypes, and named simpleTypes.
+ *
+ * @param {object[]} schemas
+ * @returns {Array}
+ */
+function extractTypes(schemas) {
+  const components = indexComponents(schemas);
+  return schemas.flatMap((schema) => extractSchemaTypes(schema ?? {}, components));
+}
+
+/**
+ * Extracts the named model groups (<xs:group name=…>) of all schemas.
+ *
+ * @param {object[]} schemas
+ * @returns {Array}
+ */
+function extractGroups(schemas) {
+  const components = indexComponents(schemas);
+  return schemas.flatMap((schema) =>
+    arr(schema?.['group']).map((group) => ({
+      name: group['@_name'] ?? '',
+      namespace: targetNamespace(group),
+      kind: 'group',
+      documentation: getDoc(group),
+      ...extractContent(group, components),
+      source: sourceOf(group),
+      redefinition: group[REDEFINITION] ?? null,
+    })),
+  );
+}
+
+/**
+ * Indexes the global elements, attributes, attribute groups and model groups
+ * of all schemas by qualified name, so that references to them resolve across
+ * schemas.
+ *
+ * @param {object[]} schemas
+ * @returns {{ element: Map<string, object>, attribute: Map<string, object>, attributeGroup: Map<string, object>, group: Map<string, object> }}
+ */
+function indexComponents(schemas) {
+  const components = {
+    element: new Map(),
+    attribute: new Map(),
+    attributeGroup: new Map(),
+    group: new Map(),
+  };
+  for (const [key, byQName] of Object.entries(components)) {
+    for (const node of schemas.flatMap((schema) => arr(schema?.[key]))) {
+      byQName.set(qnameKey({ namespace: targetNamespace(node), localName: node['@_name'] }), node);
+    }
+  }
+  return components;
+}
+
+/**
+ * Lists the types of one schema. A complexType derived with <complexContent>
+ * or <simpleContent> records its `base` and its `derivation`, "extension" or
+ * "restriction" (null otherwise). `simpleContent` is null unless the type has
+ * a text value, whose type is the base. `abstract` is a boolean; `final` and
+ * `block` are the attribute values as written, or null when absent, and an
+ * element-wrapped type takes them from its element. `redefinition` is null,
+ * or { kind: 'redefine'|'override', original } for a type that replaced
+ * another (see redefine.js), original being the source of the replaced one.
  *
  * @param {object} schema
+ * @param {object} components  Output of indexComponents().
  * @returns {Array}
  */
-function extractTypes(schema) {
+function extractSchemaTypes(schema, components) {
   const types = [];
   for (const el of arr(schema['element'])) {
     const ct = arr(el['complexType'])[0];
     if (!ct) continue;
     types.push({
       name: el['@_name'] ?? '',
+      namespace: targetNamespace(el),
       kind: 'element',
       documentation: getDoc(el),
-      fields: extractFields(ct),
+      ...extractFinality(el),
+      ...extractDerivation(ct),
+      ...extractContent(ct, components),
+      simpleContent: extractSimpleContent(ct),
+      attributes: extractAttributes(ct, components),
       enumerations: [],
+      facets: [],
+      itemType: null,
+      memberTypes: [],
+      source: sourceOf(el),
+      redefinition: el[REDEFINITION] ?? null,
     });
   }
   for (const ct of arr(schema['complexType'])) {
     types.push({
       name: ct['@_name'] ?? '',
+      namespace: targetNamespace(ct),
       kind: 'complexType',
       documentation: getDoc(ct),
-      fields: extractFields(ct),
+      ...extractFinality(ct),
+      ...extractDerivation(ct),
+      ...extractContent(ct, components),
+      simpleContent: extractSimpleContent(ct),
+      attributes: extractAttributes(ct, components),
       enumerations: [],
+      facets: [],
+      itemType: null,
+      memberTypes: [],
+      source: sourceOf(ct),
+      redefinition: ct[REDEFINITION] ?? null,
     });
   }
   for (const st of arr(schema['simpleType'])) {
     types.push({
       name: st['@_name'] ?? '',
+      namespace: targetNamespace(st),
       kind: 'simpleType',
       documentation: getDoc(st),
+      ...extractFinality(st),
+      content: null,
+      simpleContent: null,
       fields: [],
-      enumerations: extractEnumerations(st),
+      attributes: [],
+      ...extractSimpleType(st),
+      source: sourceOf(st),
+      redefinition: st[REDEFINITION] ?? null,
     });
   }
   return types;
 }
 
 /**
- * Extracts field descriptors from a complexType node by inspecting its
- * sequence, all, or choice compositor child.
+ * Lists the global element declarations of all schemas, whether their type
+ * is inline or given by type=. An element that joins a substitution group
+ * records its head as `substitutionGroup` ("" and null when none).
+ *
+ * @param {object[]} schemas
+ * @returns {Array<{ name, namespace, type, typeRef, source }>}
+ */
+function extractElements(schemas) {
+  return schemas.flatMap((schema) =>
+    arr(schema?.['element']).map((el) => ({
+      name: el['@_name'] ?? '',
+      namespace: targetNamespace(el),
+      type: stripNs(el['@_type'] ?? ''),
+      typeRef: qname(el['@_type'], el),
+      ...extractFinality(el),
+      nillable: isTrue(el['@_nillable']),
+      default: el['@_default'] ?? null,
+      fixed: el['@_fixed'] ?? null,
+      substitutionGroup: stripNs(el['@_substitutionGroup'] ?? ''),
+      substitutionGroupRef: qname(el['@_substitutionGroup'], el),
+      source: sourceOf(el),
+    })),
+  );
+}
+
+/**
+ * Reads the abstract, final and block attributes of a global element or a
+ * named type.
+ *
+ * @param {object} node
+ * @returns {{ abstract: boolean, final: string|null, block: string|null }}
+ */
+function extractFinality(node) {
+  return {
+    abstract: isTrue(node['@_abstract']),
+    final: node['@_final'] ?? null,
+    block: node['@_block'] ?? null,
+  };
+}
+
+/**
+ * @param {string|undefined} value  An xs:boolean attribute value.
+ * @returns {boolean}
+ */
+function isTrue(value) {
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Reads the <complexContent> or <simpleContent> derivation of a complexType
+ * node.
  *
  * @param {object} complexTypeNode
- * @returns {Array<{ name, type, minOccurs, maxOccurs, documentation }>}
- */
-function extractFields(complexTypeNode) {
-  const compositor =
-    arr(complexTypeNode['sequence'])[0] ??
-    arr(complexTypeNode['all'])[0] ??
-    arr(complexTypeNode['choice'])[0] ??
-    {};
-  return arr(compositor['element']).map((el) => ({
-    name: el['@_name'] ?? '',
-    type: stripNs(el['@_type'] ?? el['@_element'] ?? ''),
+ * @returns {{ base: string, baseRef: object|null, derivation: 'extension'|'restriction'|null }}
+ */
+function extractDerivation(complexTypeNode) {
+  const content =
+    arr(complexTypeNode['complexContent'])[0] ?? arr(complexTypeNode['simpleContent'])[0];
+  for (const derivation of ['extension', 'restriction']) {
+    const node = arr(content?.[derivation])[0];
+    if (!node) continue;
+    return { base: stripNs(node['@_base']), baseRef: qname(node['@_base'], node), derivation };
+  }
+  return { base: '', baseRef: null, derivation: null };
+}
+
+/**
+ * Reads the text value of a complexType with <simpleContent>: the facets and
+ * enumerations of a restriction, none for an extension.
+ *
+ * @param {object} complexTypeNode
+ * @returns {{ facets: Array<{ name, value }>, enumerations: string[] }|null}
+ */
+function extractSimpleContent(complexTypeNode) {
+  const content = arr(complexTypeNode['simpleContent'])[0];
+  if (content === undefined) return null;
+  const restriction = arr(content?.['restriction'])[0];
+  if (typeof restriction !== 'object') return { facets: [], enumerations: [] };
+  return { facets: extractFacets(restriction), enumerations: extractEnumerations(restriction) };
+}
+
+/**
+ * Extracts the content model of a complexType node – or of its
+ * <complexContent> extension or restriction – as a compositor tree, and the
+ * field descriptors of all its elements in document order. The tree is null
+ * when the type has no content, and otherwise { compositor:
+ * 'sequence'|'choice'|'all', minOccurs, maxOccurs, items, group, source },
+ * where each item is a field, a wildcard or a nested compositor. A reference
+ * to a named model group becomes the group's compositor, with the bounds of
+ * the reference and `group` set to the group's qualified name; one that does
+ * not resolve, or that refers back to an enclosing group, becomes an empty
+ * sequence. The fields list leaves the wildcards out. Anonymous
+ * complexTypes of the fields are extracted as their children. A field
+ * declared with ref= takes its name, type, documentation and children from
+ * the global element it refers to, and its minOccurs / maxOccurs from the
+ * reference; model group references are expanded in the same way.
+ *
+ * @param {object} complexTypeNode  A complexType, or a named model group.
+ * @param {object} components  Output of indexComponents().
+ * @param {Set<object>} [seen]  complexType and group nodes enclosing this one.
+ * @returns {{ content: object|null, fields: Array<{ name, ref, type, typeRef, minOccurs, maxOccurs, nillable, default, fixed, form, documentation, source, children }> }}
+ */
+function extractContent(complexTypeNode, components, seen = new Set()) {
+  const enclosing = new Set([...seen, complexTypeNode]);
+  const derivation = arr(complexTypeNode['complexContent'])[0];
+  const holder =
+    arr(derivation?.['extension'])[0] ?? arr(derivation?.['restriction'])[0] ?? complexTypeNode;
+  const [[key, node] = []] = inDocumentOrder(holder, MODEL_GROUP_KEYS);
+  const content = key ? extractParticle(key, node, components, enclosing) : null;
+  return { content, fields: content ? fieldsIn(content) : [] };
+}
+
+/**
+ * @param {string} key  "element", "any", "group" or a compositor.
+ * @param {object|string} node
+ * @param {object} components
+ * @param {Set<object>} seen
+ * @returns {object}  A field, a wildcard or a compositor.
+ */
+function extractParticle(key, node, components, seen) {
+  if (key === 'element') return extractField(node, components, seen);
+  if (key === 'any') return extractWildcard('element', node);
+  if (key === 'group') return extractGroupRef(node, components, seen);
+  return extractCompositor(key, node, components, seen);
+}
+
+/**
+ * @param {'sequence'|'choice'|'all'} key
+ * @param {object|string} node  The compositor; an empty one is parsed as "".
+ * @param {object} components
+ * @param {Set<object>} seen
+ * @returns {{ compositor: string, minOccurs: string, maxOccurs: string, items: Array, group: null, source: object|null }}
+ */
+function extractCompositor(key, node, components, seen) {
+  const compositor = typeof node === 'object' ? node : {};
+  return {
+    compositor: key,
+    minOccurs: compositor['@_minOccurs'] ?? '1',
+    maxOccurs: compositor['@_maxOccurs'] ?? '1',
+    items: inDocumentOrder(compositor, ['element', 'any', ...MODEL_GROUP_KEYS]).map(
+      ([childKey, child]) => extractParticle(childKey, child, components, seen),
+    ),
+    group: null,
+    source: sourceOf(compositor),
+  };
+}
+
+/**
+ * Expands an <xs:group ref=…> into the compositor of the group it refers to.
+ *
+ * @param {object} ref  The <xs:group> reference.
+ * @param {object} components
+ * @param {Set<object>} seen
+ * @returns {{ compositor: string, minOccurs: string, maxOccurs: string, items: Array, group: object|null, source: object|null }}
+ */
+function extractGroupRef(ref, components, seen) {
+  const group = qname(ref['@_ref'], ref);
+  const decl = group ? components.group.get(qnameKey(group)) : undefined;
+  const [[key, node] = []] = decl && !seen.has(decl) ? inDocumentOrder(decl, COMPOSITOR_KEYS) : [];
+  const compositor = key
+    ? extractCompositor(key, node, components, new Set([...seen, decl]))
+    : { compositor: 'sequence', items: [] };
+  return {
+    ...compositor,
+    minOccurs: ref['@_minOccurs'] ?? '1',
+    maxOccurs: ref['@_maxOccurs'] ?? '1',
+    group,
+    source: sourceOf(ref),
+  };
+}
+
+/**
+ * Describes an element of a content model. nillable is a boolean, default and
+ * fixed are null when not given, and form is null when the schema's
+ * elementFormDefault applies. A field declared with ref= records the global
+ * element as `ref` and is described by its declaration. A field with an
+ * anonymous complexType of its own has an empty type and carries that type as
+ * `children` (null otherwise), whose fields may have children in turn.
+ *
+ * @param {object} el  An <xs:element> inside a compositor.
+ * @param {object} components
+ * @param {Set<object>} seen
+ * @returns {{ name, ref, type, typeRef, minOccurs, maxOccurs, nillable, default, fixed, form, documentation, source, children }}
+ */
+function extractField(el, components, seen) {
+  const ref = qname(el['@_ref'], el);
+  const decl = ref ? components.element.get(qnameKey(ref)) : undefined;
+  const target = decl ?? el;
+  return {
+    name: target['@_name'] ?? ref?.localName ?? '',
+    ref,
+    type: stripNs(target['@_type'] ?? ''),
+    typeRef: qname(target['@_type'], target),
     minOccurs: el['@_minOccurs'] ?? '1',
     maxOccurs: el['@_maxOccurs'] ?? '1',
-    documentation: getDoc(el),
+    nillable: isTrue(target['@_nillable']),
+    default: target['@_default'] ?? null,
+    fixed: target['@_fixed'] ?? null,
+    form: el['@_form'] ?? null,
+    documentation: getDoc(el) || getDoc(decl),
+    source: sourceOf(el),
+    children: extractChildren(arr(target['complexType'])[0], components, seen),
+  };
+}
+
+/**
+ * Describes an <xs:any> or <xs:anyAttribute>. namespace is the constraint as
+ * written (default "##any") and processContents "strict" (the default), "lax"
+ * or "skip".
+ *
+ * @param {'element'|'attribute'} wildcard
+ * @param {object|string} node  An <xs:any> or <xs:anyAttribute>; an empty one
+ *   is parsed as "".
+ * @returns {{ wildcard: string, namespace: string, processContents: string, minOccurs?: string, maxOccurs?: string, documentation: string, source: object|null }}
+ */
+function extractWildcard(wildcard, node) {
+  const any = typeof node === 'object' ? node : {};
+  return {
+    wildcard,
+    namespace: any['@_namespace'] ?? '##any',
+    processContents: any['@_processContents'] ?? 'strict',
+    ...(wildcard === 'element'
+      ? { minOccurs: any['@_minOccurs'] ?? '1', maxOccurs: any['@_maxOccurs'] ?? '1' }
+      : {}),
+    documentation: getDoc(any),
+    source: sourceOf(any),
+  };
+}
+
+/**
+ * @param {{ items: Array }} compositor
+ * @returns {Array}  The fields of a compositor tree, depth first.
+ */
+function fieldsIn(compositor) {
+  return compositor.items.flatMap((item) => {
+    if (item.compositor) return fieldsIn(item);
+    return item.wildcard ? [] : [item];
+  });
+}
+
+/**
+ * Lists the children of node under the given keys in document order.
+ * fast-xml-parser groups children by tag name, so siblings of different
+ * kinds are interleaved again by their source position; children of the same
+ * kind keep their order, which also holds for content merged from other
+ * documents by redefine.js.
+ *
+ * @param {object} node
+ * @param {string[]} keys
+ * @returns {Array<[string, object]>}
+ */
+function inDocumentOrder(node, keys) {
+  const lists = keys.map((key) => arr(node[key]).map((child) => [key, child]));
+  const position = ([, child]) => {
+    const source = sourceOf(child);
+    return source?.line ? source.line * 1e6 + source.column : Infinity;
+  };
+  const ordered = [];
+  let pending = lists.filter((list) => list.length);
+  while (pending.length) {
+    const first = pending.reduce((a, b) => (position(b[0]) < position(a[0]) ? b : a));
+    ordered.push(first.shift());
+    pending = pending.filter((list) => list.length);
+  }
+  return ordered;
+}
+
+/**
+ * Extracts the anonymous complexType of a field, unless it encloses the field
+ * already, so a raw tree that refers back to itself cannot make buildModel()
+ * loop.
+ *
+ * @param {object|string|undefined} node  Anonymous complexType of a field;
+ *   an empty <xs:complexType/> is parsed as "".
+ * @param {object} components
+ * @param {Set<object>} seen  complexType nodes enclosing the field.
+ * @returns {{ base, baseRef, derivation, content, simpleContent, fields, attributes }|null}
+ */
+function extractChildren(node, components, seen) {
+  if (node === undefined || seen.has(node)) return null;
+  const complexTypeNode = typeof node === 'object' ? node : {};
+  return {
+    ...extractDerivation(complexTypeNode),
+    ...extractContent(complexTypeNode, components, seen),
+    simpleContent: extractSimpleContent(complexTypeNode),
+    attributes: extractAttributes(complexTypeNode, components),
+  };
+}
+
+/**
+ * Extracts attribute descriptors from a complexType node (or its
+ * <complexContent> or <simpleContent> extension or restriction), expanding
+ * attribute group references in place of the reference. use is "required",
+ * "optional" or "prohibited", and default and fixed are null when not given.
+ * An <xs:anyAttribute> comes last, described by extractWildcard().
+ *
+ * @param {object} complexTypeNode
+ * @param {object} components  Output of indexComponents().
+ * @returns {Array<{ name, type, typeRef, use, default, fixed, documentation, source }>}
+ */
+function extractAttributes(complexTypeNode, components) {
+  const content =
+    arr(complexTypeNode['complexContent'])[0] ?? arr(complexTypeNode['simpleContent'])[0];
+  const holder =
+    arr(content?.['extension'])[0] ?? arr(content?.['restriction'])[0] ?? complexTypeNode;
+  return collectAttributes(holder, components, new Set());
+}
+
+/**
+ * @param {object} node  A complexType, derivation or attributeGroup node.
+ * @param {object} components
+ * @param {Set<object>} seen  Attribute groups being expanded, to stop on a cycle.
+ * @returns {Array}
+ */
+function collectAttributes(node, components, seen) {
+  const attributes = arr(node['attribute']).map((attr) => {
+    const decl = attr['@_ref']
+      ? components.attribute.get(qnameKey(qname(attr['@_ref'], attr)))
+      : undefined;
+    const target = decl ?? attr;
+    return {
+      name: target['@_name'] ?? stripNs(attr['@_ref'] ?? ''),
+      type: stripNs(target['@_type'] ?? ''),
+      typeRef: qname(target['@_type'], target),
+      use: attr['@_use'] ?? 'optional',
+      default: attr['@_default'] ?? decl?.['@_default'] ?? null,
+      fixed: attr['@_fixed'] ?? decl?.['@_fixed'] ?? null,
+      documentation: getDoc(attr) || getDoc(decl),
+      source: sourceOf(attr),
+    };
+  });
+  for (const ref of arr(node['attributeGroup'])) {
+    const group = components.attributeGroup.get(qnameKey(qname(ref['@_ref'], ref)));
+    if (!group || seen.has(group)) continue;
+    attributes.push(...collectAttributes(group, components, new Set([...seen, group])));
+  }
+  for (const any of arr(node['anyAttribute'])) attributes.push(extractWildcard('attribute', any));
+  return attributes;
+}
+
+/**
+ * Reads the restriction, list or union of a simpleType node. A restriction
+ * records its `base` with `derivation` "restriction", its `enumerations` and
+ * its other `facets`; a list records its `itemType` and a union its
+ * `memberTypes` (see simpleTypeRef()). itemType is null and memberTypes,
+ * facets and enumerations are empty where they do not apply.
+ *
+ * @param {object|string} simpleTypeNode  An empty <xs:simpleType/> is parsed as "".
+ * @returns {{ base, baseRef, derivation, enumerations, facets, itemType, memberTypes }}
+ */
+function extractSimpleType(simpleTypeNode) {
+  const restriction = arr(simpleTypeNode?.['restriction'])[0];
+  const list = arr(simpleTypeNode?.['list'])[0];
+  const union = arr(simpleTypeNode?.['union'])[0];
+  const restricts = typeof restriction === 'object';
+  const memberTypes = (union?.['@_memberTypes'] ?? '').split(/\s+/).filter(Boolean);
+  return {
+    base: restricts ? stripNs(restriction['@_base'] ?? '') : '',
+    baseRef: restricts ? qname(restriction['@_base'], restriction) : null,
+    derivation: restriction !== undefined ? 'restriction' : null,
+    enumerations: restricts ? extractEnumerations(restriction) : [],
+    facets: restricts ? extractFacets(restriction) : [],
+    itemType:
+      list !== undefined
+        ? simpleTypeRef(list['@_itemType'], list, arr(list['simpleType'])[0])
+        : null,
+    memberTypes: [
+      ...memberTypes.map((name) => simpleTypeRef(name, union)),
+      ...arr(union?.['simpleType']).map((anonymous) => simpleTypeRef(undefined, union, anonymous)),
+    ],
+  };
+}
+
+/**
+ * Describes a list item type or union member type. simpleType describes an
+ * anonymous <xs:simpleType> as extractSimpleType() does, and is null for a
+ * named one.
+ *
+ * @param {string|undefined} name  A named type, e.g. "xs:int".
+ * @param {object} node  The element the name appears on, for its namespace scope.
+ * @param {object|string} [anonymous]  An anonymous <xs:simpleType> instead.
+ * @returns {{ type: string, typeRef: object|null, simpleType: object|null }}
+ */
+function simpleTypeRef(name, node, anonymous) {
+  return {
+    type: stripNs(name ?? ''),
+    typeRef: qname(name, node),
+    simpleType: anonymous !== undefined ? extractSimpleType(anonymous) : null,
+  };
+}
+
+/**
+ * Extracts the constraining facets other than enumerations from a restriction
+ * node, in document order.
+ *
+ * @param {object} restriction
+ * @returns {Array<{ name: string, value: string }>}
+ */
+function extractFacets(restriction) {
+  return inDocumentOrder(restriction, FACET_KEYS).map(([name, facet]) => ({
+    name,
+    value: facet['@_value'] ?? '',
   }));
 }
 
 /**
  * Extracts enumeration values from a simpleType restriction node.
  *
- * @param {object} simpleTypeNode
+ * @param {object} restriction
  * @returns {string[]}
  */
-function extractEnumerations(simpleTypeNode) {
-  const restriction = simpleTypeNode['restriction'];
-  if (!restriction) return [];
+function extractEnumerations(restriction) {
   return arr(restriction['enumeration']).map((e) => e['@_value'] ?? '');
 }
 
 /**
  * @param {object[]} messages
- * @returns {Array<{ name, parts }>}
+ * @returns {Array<{ name, namespace, parts }>}
  */
 function extractMessages(messages) {
   return messages.map((msg) => ({
     name: msg['@_name'] ?? '',
+    namespace: targetNamespace(msg),
     parts: arr(msg['part']).map((p) => ({
       name: p['@_name'] ?? '',
       element: stripNs(p['@_element'] ?? ''),
       type: stripNs(p['@_type'] ?? ''),
+      elementRef: qname(p['@_element'], p),
+      typeRef: qname(p['@_type'], p),
     })),
+    source: sourceOf(msg),
+  }));
+}
+
+/**
+ * Lists the declared portTypes (WSDL 1.1) or interfaces (WSDL 2.0) so that
+ * binding references to them can be checked. `extends` lists the qualified
+ * names of the interfaces an interface extends (always empty for WSDL 1.1).
+ *
+ * @param {object[]} portTypes
+ * @returns {Array<{ name, namespace, extends, source }>}
+ */
+function extractPortTypes(portTypes) {
+  return portTypes.map((pt) => ({
+    name: pt['@_name'] ?? '',
+    namespace: targetNamespace(pt),
+    extends: (pt['@_extends'] ?? '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((name) => qname(name, pt)),
+    source: sourceOf(pt),
   }));
 }
 
 /**
- * Flattens operations from all portTypes into a single array.
+ * Flattens operations from all portTypes into a single array. `input` and
+ * `output` are "" (and their refs null) when the operation has no such
+ * message, and `parameterOrder` lists the part names of an RPC operation's
+ * parameterOrder attribute (empty when it has none).
  *
  * @param {object[]} portTypes
- * @returns {Array<{ name, documentation, input, output, faults }>}
+ * @returns {Array<{ name, documentation, pattern, parameterOrder, input, output, inputRef, outputRef, faults }>}
  */
 function extractOperations(portTypes) {
   const operations = [];
   for (const pt of portTypes) {
     for (const op of arr(pt['operation'])) {
+      const input = arr(op['input'])[0];
+      const output = arr(op['output'])[0];
       operations.push({
         name: op['@_name'] ?? '',
         documentation: getDoc(op),
-        input: stripNs(arr(op['input'])[0]?.['@_message'] ?? ''),
-        output: stripNs(arr(op['output'])[0]?.['@_message'] ?? ''),
+        pattern: transmissionPattern(op),
+        parameterOrder: (op['@_parameterOrder'] ?? '').split(/\s+/).filter(Boolean),
+        input: stripNs(input?.['@_message'] ?? ''),
+        output: stripNs(output?.['@_message'] ?? ''),
+        inputRef: qname(input?.['@_message'], input),
+        outputRef: qname(output?.['@_message'], output),
         faults: arr(op['fault']).map((f) => ({
           name: f['@_name'] ?? '',
           message: stripNs(f['@_message'] ?? ''),
+          messageRef: qname(f['@_message'], f),
         })),
+        source: sourceOf(op),
       });
     }
   }
   return operations;
 }
 
+/**
+ * Names the transmission pattern of a WSDL 1.1 operation by the message
+ * exchange pattern WSDL 2.0 has for it, from the order of its <input> and
+ * <output> elements: "in-out", "in-only", "out-in" or "out-only" ("" when it
+ * has neither).
+ *
+ * @param {object} op  A portType <operation>.
+ * @returns {string}
+ */
+function transmissionPattern(op) {
+  const directions = inDocumentOrder(op, ['input', 'output']).map(([key]) =>
+    key === 'input' ? 'in' : 'out',
+  );
+  if (!directions.length) return '';
+  return directions.length === 1 ? `${directions[0]}-only` : directions.slice(0, 2).join('-');
+}
+
 /**
  * Extracts binding metadata. After namespace-prefix stripping, the
  * <soap:binding> child element collides in name with the outer <wsdl:binding>,
@@ -183,7 +781,7 @@ function extractOperations(portTypes) {
  * wsdlOp.operation[0].
  *
  * @param {object[]} bindings
- * @returns {Array<{ name, type, style, transport, protocol, operations }>}
+ * @returns {Array<{ name, type, typeRef, style, transport, protocol, operations }>}
  */
 function extractBindings(bindings) {
   return bindings.map((b) => {
@@ -191,6 +789,7 @@ function extractBindings(bindings) {
     return {
       name: b['@_name'] ?? '',
       type: stripNs(b['@_type'] ?? ''),
+      typeRef: qname(b['@_type'], b),
       style: soapBinding['@_style'] ?? 'document',
       transport: soapBinding['@_transport'] ?? '',
       protocol: detectProtocol(soapBinding['@_transport'] ?? ''),
@@ -201,6 +800,7 @@ function extractBindings(bindings) {
           soapAction: soapOp['@_soapAction'] ?? '',
         };
       }),
+      source: sourceOf(b),
     };
   });
 }
@@ -216,7 +816,7 @@ function detectProtocol(transport) {
 
 /**
  * @param {object[]} services
- * @returns {Array<{ service, port, binding, url }>}
+ * @returns {Array<{ service, port, binding, bindingRef, url }>}
  */
 function extractEndpoints(services) {
   const endpoints = [];
@@ -227,9 +827,237 @@ function extractEndpoints(services) {
         service: svc['@_name'] ?? '',
         port: port['@_name'] ?? '',
         binding: stripNs(port['@_binding'] ?? ''),
+        bindingRef: qname(port['@_binding'], port),
         url: (Array.isArray(address) ? address[0] : address)?.['@_location'] ?? '',
       });
     }
   }
   return endpoints;
 }
+
+/**
+ * Creates one synthetic message per schema element referenced by a WSDL 2.0
+ * interface operation (input/output) or interface fault. Each message has a
+ * single "body" part pointing at the element so resolve.js can expand it
+ * exactly like a WSDL 1.1 document/literal message.
+ *
+ * @param {object[]} interfaces
+ * @returns {Array<{ name, namespace, parts }>}
+ */
+function extractInterfaceMessages(interfaces) {
+  const messages = new Map();
+  const add = (element, node) => {
+    const ref = interfaceMessageRef(element, node);
+    const key = qnameKey(ref);
+    if (!ref || ref.localName.startsWith('#') || messages.has(key)) return;
+    messages.set(key, {
+      name: ref.localName,
+      namespace: ref.namespace,
+      parts: [{ name: 'body', element: ref.localName, type: '', elementRef: ref, typeRef: null }],
+      source: sourceOf(node),
+    });
+  };
+  for (const iface of interfaces) {
+    for (const op of arr(iface['operation'])) {
+      for (const msg of [...arr(op['input']), ...arr(op['output'])]) add(msg['@_element'], msg);
+    }
+    for (const fault of arr(iface['fault'])) add(fault['@_element'], fault);
+  }
+  return [...messages.values()];
+}
+
+/**
+ * Flattens operations from all WSDL 2.0 interfaces into a single array.
+ * Fault references (infault/outfault ref=) are resolved against the
+ * interface-level <fault> declarations to find the fault element: those of
+ * the declaring interface first, then those it inherits through extends.
+ *
+ * @param {object[]} interfaces
+ * @returns {Array<{ name, documentation, pattern, parameterOrder, input, output, inputRef, outputRef, faults }>}
+ */
+function extractInterfaceOperations(interfaces) {
+  const byQName = interfacesByQName(interfaces);
+  const operations = [];
+  for (const iface of interfaces) {
+    const faultElements = interfaceFaults(iface, byQName);
+    for (const op of arr(iface['operation'])) {
+      const input = arr(op['input'])[0];
+      const output = arr(op['output'])[0];
+      const inputRef = interfaceMessageRef(input?.['@_element'], input);
+      const outputRef = interfaceMessageRef(output?.['@_element'], output);
+      operations.push({
+        name: op['@_name'] ?? '',
+        documentation: getDoc(op),
+        pattern: mepName(op['@_pattern'] ?? ''),
+        parameterOrder: [],
+        input: inputRef?.localName ?? '',
+        output: outputRef?.localName ?? '',
+        inputRef,
+        outputRef,
+        faults: [...arr(op['infault']), ...arr(op['outfault'])].map((f) => {
+          const ref = qname(f['@_ref'], f);
+          const messageRef = (ref && faultElements.get(qnameKey(ref))) ?? null;
+          return {
+            name: stripNs(f['@_ref'] ?? ''),
+            message: messageRef?.localName ?? '',
+            messageRef,
+          };
+        }),
+        source: sourceOf(op),
+      });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Maps the qualified name of every fault an interface declares or inherits
+ * to its element. The interface's own faults come first and are not replaced
+ * by inherited ones. Stops on an extension cycle.
+ *
+ * @param {object} iface
+ * @param {Map<string, object>} byQName  Interfaces by qualified name.
+ * @param {Set<object>} [seen]
+ * @returns {Map<string, { namespace: string, localName: string }|null>}
+ */
+function interfaceFaults(iface, byQName, seen = new Set()) {
+  const faults = new Map();
+  if (seen.has(iface)) return faults;
+  seen.add(iface);
+  for (const f of arr(iface['fault'])) {
+    const key = qnameKey({ namespace: targetNamespace(f), localName: f['@_name'] ?? '' });
+    faults.set(key, interfaceMessageRef(f['@_element'], f));
+  }
+  for (const base of (iface['@_extends'] ?? '').split(/\s+/).filter(Boolean)) {
+    const ref = qname(base, iface);
+    const baseIface = ref ? byQName.get(qnameKey(ref)) : undefined;
+    if (!baseIface) continue;
+    for (const [key, element] of interfaceFaults(baseIface, byQName, seen)) {
+      if (!faults.has(key)) faults.set(key, element);
+    }
+  }
+  return faults;
+}
+
+/**
+ * Returns the synthetic message reference for a WSDL 2.0 element= attribute.
+ * The "#none" token means the message has no body and maps to null; other
+ * tokens such as "#any" are kept verbatim as the local name.
+ *
+ * @param {string|undefined} element
+ * @param {object} [node]
+ * @returns {{ namespace: string, localName: string }|null}
+ */
+function interfaceMessageRef(element, node) {
+  if (!element || element === '#none') return null;
+  if (element.startsWith('#')) return { namespace: '', localName: element };
+  return qname(element, node);
+}
+
+/**
+ * Returns the short name of a WSDL 2.0 message exchange pattern URI, e.g.
+ * "http://www.w3.org/ns/wsdl/in-out" → "in-out".
+ *
+ * @param {string} uri
+ * @returns {string}
+ */
+function mepName(uri) {
+  return uri.slice(uri.lastIndexOf('/') + 1);
+}
+
+/**
+ * Extracts WSDL 2.0 binding metadata. Unlike WSDL 1.1, the SOAP and HTTP
+ * binding details are attributes (wsoap:version, wsoap:protocol, wsoap:action,
+ * whttp:method, whttp:location) whose prefixes fast-xml-parser strips. A
+ * binding covers every operation of its interface, including those the
+ * interface inherits; operations it does not bind explicitly take the
+ * binding's defaults.
+ *
+ * @param {object[]} bindings
+ * @param {object[]} interfaces
+ * @returns {Array<{ name, type, style, transport, protocol, operations }>}
+ */
+function extractDescriptionBindings(bindings, interfaces) {
+  const byQName = interfacesByQName(interfaces);
+  return bindings.map((b) => {
+    const isSoap = (b['@_type'] ?? '').endsWith('/soap');
+    const bound = new Map(arr(b['operation']).map((op) => [stripNs(op['@_ref'] ?? ''), op]));
+    const names = new Set(interfaceOperationNames(qname(b['@_interface'], b), byQName));
+    for (const name of bound.keys()) names.add(name);
+    return {
+      name: b['@_name'] ?? '',
+      type: stripNs(b['@_interface'] ?? ''),
+      typeRef: qname(b['@_interface'], b),
+      style: 'document',
+      transport: isSoap ? (b['@_protocol'] ?? '') : '',
+      protocol: isSoap ? (b['@_version'] === '1.1' ? 'SOAP 1.1' : 'SOAP 1.2') : 'HTTP',
+      operations: [...names].map((name) => {
+        const op = bound.get(name) ?? {};
+        return {
+          name,
+          soapAction: op['@_action'] ?? '',
+          ...(isSoap
+            ? {}
+            : {
+                method: op['@_method'] ?? b['@_methodDefault'] ?? '',
+                location: op['@_location'] ?? '',
+              }),
+        };
+      }),
+      source: sourceOf(b),
+    };
+  });
+}
+
+/**
+ * @param {object[]} interfaces
+ * @returns {Map<string, object>}  The interfaces by qualified name.
+ */
+function interfacesByQName(interfaces) {
+  return new Map(
+    interfaces.map((i) => [
+      qnameKey({ namespace: targetNamespace(i), localName: i['@_name'] ?? '' }),
+      i,
+    ]),
+  );
+}
+
+/**
+ * Lists the names of the operations of an interface: its own, then those of
+ * the interfaces it extends, transitively. Stops on an extension cycle.
+ *
+ * @param {{ namespace: string, localName: string }|null} ref
+ * @param {Map<string, object>} byQName  Interfaces by qualified name.
+ * @param {Set<object>} [seen]
+ * @returns {string[]}
+ */
+function interfaceOperationNames(ref, byQName, seen = new Set()) {
+  const iface = ref ? byQName.get(qnameKey(ref)) : undefined;
+  if (!iface || seen.has(iface)) return [];
+  seen.add(iface);
+  const bases = (iface['@_extends'] ?? '').split(/\s+/).filter(Boolean);
+  return [
+    ...arr(iface['operation']).map((op) => op['@_name'] ?? ''),
+    ...bases.flatMap((base) => interfaceOperationNames(qname(base, iface), byQName, seen)),
+  ];
+}
+
+/**
+ * @param {object[]} services
+ * @returns {Array<{ service, port, binding, bindingRef, url }>}
+ */
+function extractServiceEndpoints(services) {
+  const endpoints = [];
+  for (const svc of services) {
+    for (const ep of arr(svc['endpoint'])) {
+      endpoints.push({
+        service: svc['@_name'] ?? '',
+        port: ep['@_name'] ?? '',
+        binding: stripNs(ep['@_binding'] ?? ''),
+        bindingRef: qname(ep['@_binding'], ep),
+        url: ep['@_address'] ?? '',
+      });
+    }
+  }
+  return endpoints;
+}
@@ -6,46 +6,242 @@
 /**
  * parse.js – thin wrapper around fast-xml-parser.
  *
- * Returns a raw JS object tree from a WSDL XML string.
- * All namespace prefixes are stripped from element names so that downstream
- * code does not need to know whether the source used `wsdl:`, `s:`, `xs:`, etc.
- * Attributes are preserved under the `@_` prefix (e.g. `@_name`, `@_type`).
- * Repeating WSDL/XSD elements (operation, message, part, …) are always arrays.
+ * Returns a raw JS object tree from a WSDL XML string. Both WSDL 1.1
+ * (<definitions> root) and WSDL 2.0 (<description> root) documents are
+ * accepted; the root key of the returned object tells them apart.
+ * All namespace prefixes are stripped from element and attribute names so that
+ * downstream code does not need to know whether the source used `wsdl:`, `s:`,
+ * `xs:`, etc. Attributes are preserved under the `@_` prefix (e.g. `@_name`,
+ * `@_type`). Repeating WSDL/XSD elements (operation, message, part, …) are
+ * always arrays.
+ *
+ * Prefixes inside attribute values ("tns:AddRequest") still need the xmlns
+ * declarations to be resolved, so instead of letting the parser drop them,
+ * every element object is annotated with two non-enumerable symbol properties
+ * (see util.js): NS_SCOPE, the prefix → namespace URI bindings in scope, and
+ * TARGET_NS, the targetNamespace of the nearest enclosing <schema>,
+ * <definitions> or <description>. The xmlns attributes are then removed, so
+ * the enumerable shape of the tree is unchanged.
+ *
+ * Every element object also gets a SOURCE_POS symbol holding the { line,
+ * column } (both 1-based) of its start tag, so errors, diagnostics and the
+ * model can point back at the original XML. Elements parsed as plain strings
+ * (text-only, attribute-less) carry no position.
  */
 
 import { XMLParser } from 'fast-xml-parser';
+import { NS_SCOPE, TARGET_NS, SOURCE_POS, arr, documentElement, formatSource } from './util.js';
+
+const TNS_OWNERS = new Set(['schema', 'definitions', 'description']);
+
+const ARRAY_TAGS = new Set([
+  'operation',
+  'message',
+  'part',
+  'portType',
+  'binding',
+  'service',
+  'port',
+  'element',
+  'complexType',
+  'schema',
+  'simpleType',
+  'enumeration',
+  'sequence',
+  'all',
+  'choice',
+  'import',
+  'include',
+  'fault',
+  'interface',
+  'endpoint',
+  'infault',
+  'outfault',
+  'input',
+  'output',
+  'annotation',
+  'documentation',
+]);
+
+const parsers = new Map();
 
 /**
- * @param {string} xml  Raw WSDL XML string.
- * @returns {object}    Raw parsed object (fast-xml-parser output).
- * @throws {Error}      If the XML is not well-formed or lacks a <definitions> root.
+ * @param {string} xml         Raw WSDL XML string.
+ * @param {string} [location]  Where the XML was read from, for error messages.
+ * @returns {object}           Raw parsed object (fast-xml-parser output).
+ * @throws {Error}             If the XML is not well-formed or lacks a <definitions>
+ *                             or <description> root.
+ */
+export function parseWsdl(xml, location) {
+  const result = parseXml(xml, isArrayTag);
+  if (!result || typeof result !== 'object') {
+    throw new Error(
+      `Failed to parse WSDL${location ? ` ${location}` : ''}: unexpected parser output.`,
+    );
+  }
+  const root = result['definitions'] ?? result['description'];
+  if (!root) {
+    const found = Object.keys(result).find((key) => !key.startsWith('?') && !key.startsWith('#'));
+    // A root with text content only parses to a string, which has no SOURCE_POS.
+    const pos = result[found]?.[SOURCE_POS] ?? rootPosition(xml);
+    const where = formatSource({ file: location ?? null, ...pos });
+    const details = [found && `found <${found}>`, where && `at ${where}`].filter(Boolean);
+    throw new Error(
+      'Not a valid WSDL document: missing <definitions> or <description> root element' +
+        (details.length ? ` (${details.join(' ')}).` : '.'),
+    );
+  }
+  return result;
+}
+
+/**
+ * Parses any XML string with the shared parser settings (prefix stripping,
+ * `@_` attributes) and annotates the result with namespace information.
+ * Used by parseWsdl() and by load.js for standalone XSD documents. One parser
+ * is created per isArray callback and reused for every later document.
+ *
+ * @param {string} xml
+ * @param {(tagName: string, jPath: string, isLeaf: boolean, isAttribute: boolean) => boolean} isArray
+ * @returns {object}
  */
-export function parseWsdl(xml) {
-  const parser = new XMLParser({
+export function parseXml(xml, isArray) {
+  if (!parsers.has(isArray)) parsers.set(isArray, createParser(isArray));
+  const result = parsers.get(isArray).parse(xml);
+  annotateNamespaces(result, {}, '');
+  annotatePositions(result, lineStarts(xml));
+  return result;
+}
+
+/**
+ * @param {(tagName: string, jPath: string, isLeaf: boolean, isAttribute: boolean) => boolean} isArray
+ * @returns {XMLParser}
+ */
+function createParser(isArray) {
+  return new XMLParser({
     ignoreAttributes: false,
     attributeNamePrefix: '@_',
-    removeNSPrefix: true,
-    isArray: isArrayTag,
+    removeNSPrefix: false,
+    transformTagName: stripTagPrefix,
+    transformAttributeName: stripAttributePrefix,
+    isArray,
     parseAttributeValue: false,
     trimValues: true,
     processEntities: true,
     allowBooleanAttributes: true,
+    captureMetaData: true,
   });
-  const result = parser.parse(xml);
-  if (!result || typeof result !== 'object') {
-    throw new Error('Failed to parse WSDL: unexpected parser output.');
+}
+
+/**
+ * @param {string} tagName  e.g. "xsd:element"
+ * @returns {string}        e.g. "element"
+ */
+function stripTagPrefix(tagName) {
+  return tagName.slice(tagName.indexOf(':') + 1);
+}
+
+/**
+ * Strips the prefix from a prefixed attribute name ("@_wsoap:action" →
+ * "@_action") but keeps xmlns declarations intact for annotateNamespaces().
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function stripAttributePrefix(name) {
+  return name.replace(/^@_(?!xmlns(?::|$))[^:]*:/, '@_');
+}
+
+/**
+ * Recursively records the in-scope namespace bindings and target namespace on
+ * every element object of a parsed tree, consuming its xmlns attributes.
+ *
+ * @param {object} node
+ * @param {Record<string, string>} scope  Prefix → URI; "" is the default namespace.
+ * @param {string} tns
+ */
+function annotateNamespaces(node, scope, tns) {
+  let ownScope = scope;
+  for (const key of Object.keys(node)) {
+    if (key !== '@_xmlns' && !key.startsWith('@_xmlns:')) continue;
+    if (ownScope === scope) ownScope = { ...scope };
+    ownScope[key === '@_xmlns' ? '' : key.slice('@_xmlns:'.length)] = node[key];
+    delete node[key];
   }
-  const root = result['definitions'];
-  if (!root) {
-    throw new Error('Not a valid WSDL document: missing <definitions> root element.');
+  Object.defineProperty(node, NS_SCOPE, { value: ownScope, writable: true, configurable: true });
+  Object.defineProperty(node, TARGET_NS, { value: tns, writable: true, configurable: true });
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@_')) continue;
+    for (const child of arr(value)) {
+      if (!child || typeof child !== 'object') continue;
+      annotateNamespaces(
+        child,
+        ownScope,
+        TNS_OWNERS.has(key) ? (child['@_targetNamespace'] ?? '') : tns,
+      );
+    }
   }
-  return result;
+}
+
+/**
+ * Converts the start offsets fast-xml-parser records (captureMetaData) into
+ * SOURCE_POS { line, column } on every element object of a parsed tree.
+ *
+ * @param {object} node
+ * @param {number[]} starts  Offsets at which each line begins.
+ */
+function annotatePositions(node, starts) {
+  const offset = node[XMLParser.getMetaDataSymbol()]?.startIndex;
+  if (offset !== undefined) {
+    Object.defineProperty(node, SOURCE_POS, { value: positionAt(offset, starts) });
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@_')) continue;
+    for (const child of arr(value)) {
+      if (child && typeof child === 'object') annotatePositions(child, starts);
+    }
+  }
+}
+
+/**
+ * @param {number} offset
+ * @param {number[]} starts  Offsets at which each line begins.
+ * @returns {{ line: number, column: number }}
+ */
+function positionAt(offset, starts) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: offset - starts[lo] + 1 };
+}
+
+/**
+ * @param {string} xml
+ * @returns {{ line: number, column: number }|undefined}  Where the start tag of
+ *   the document element is.
+ */
+function rootPosition(xml) {
+  const root = documentElement(xml);
+  return root ? positionAt(root.offset, lineStarts(xml)) : undefined;
+}
+
+/**
+ * @param {string} xml
+ * @returns {number[]}  Offsets at which each line begins.
+ */
+function lineStarts(xml) {
+  const starts = [0];
+  for (let i = xml.indexOf('\n'); i !== -1; i = xml.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
 }
 
 /**
  * Tells fast-xml-parser which elements must always be arrays, even when only
- * one occurrence is present. Covers all repeating WSDL 1.1 and XSD elements
- * so downstream code can iterate without existence checks.
+ * one occurrence is present. Covers all repeating WSDL 1.1, WSDL 2.0 and XSD
+ * elements so downstream code can iterate without existence checks.
  *
  * @param {string}  _tagName     Element name (namespace prefix already stripped).
  * @param {string}  _jPath       Dot-notation path of the element in the tree.
@@ -55,28 +251,5 @@ export function parseWsdl(xml) {
  */
 function isArrayTag(_tagName, _jPath, _isLeaf, _isAttribute) {
   if (_isAttribute) return false;
-  const arrayElements = new Set([
-    'operation',
-    'message',
-    'part',
-    'portType',
-    'binding',
-    'service',
-    'port',
-    'element',
-    'complexType',
-    'simpleType',
-    'enumeration',
-    'sequence',
-    'all',
-    'choice',
-    'import',
-    'include',
-    'fault',
-    'input',
-    'output',
-    'annotation',
-    'documentation',
-  ]);
-  return arrayElements.has(_tagName);
+  return ARRAY_TAGS.has(_tagName);
 }
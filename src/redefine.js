@@ -0,0 +1,241 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+/**
+ * redefine.js – applies <xs:redefine> (XSD 1.0) and <xs:override> (XSD 1.1).
+ *
+ * Both elements include a schema and replace some of its components with the
+ * ones they contain. load.js loads the target schema (with its own includes
+ * merged), calls applyRedefinitions() on it, and only then merges it into the
+ * importing schema, so buildModel() never sees the replaced definitions. When
+ * the schema was merged already, load.js swaps the pairs applyRedefinitions()
+ * returns wherever the replaced components were merged to.
+ *
+ *   override  the new component replaces the same-named one outright. Any
+ *             top-level component can be overridden.
+ *   redefine  the new component is derived from the one it replaces, which
+ *             it refers to by its own name:
+ *               complexType  extension of itself   → original content, then the new
+ *                            restriction of itself → the new content only
+ *               simpleType   restriction of itself → original facets, with the
+ *                                                    new ones taking precedence
+ *               group / attributeGroup            → the new definition, with the
+ *                                                    reference to itself replaced
+ *                                                    by the original content
+ *
+ * Components without a same-named original are ignored, as the XSD
+ * specifications require. Each replacement is tagged with a non-enumerable
+ * REDEFINITION symbol holding { kind: 'redefine'|'override', original }, where
+ * original is the sourceOf() of the replaced definition, so model.js can tell
+ * where the type was first defined. The replacement keeps the namespace scope
+ * and source position of the redefining element.
+ */
+
+import { arr, qname, sourceOf } from './util.js';
+
+export const REDEFINITION = Symbol('redefinition');
+
+const REDEFINABLE_KEYS = {
+  redefine: ['simpleType', 'complexType', 'group', 'attributeGroup'],
+  override: ['simpleType', 'complexType', 'group', 'attributeGroup', 'element', 'attribute'],
+};
+const COMPOSITOR_KEYS = ['sequence', 'choice', 'all', 'group'];
+const ATTRIBUTE_KEYS = ['attribute', 'attributeGroup', 'anyAttribute'];
+const CONTENT_KEYS = [...COMPOSITOR_KEYS, ...ATTRIBUTE_KEYS, 'simpleContent'];
+
+/**
+ * Replaces the components of target named by the children of a redefine or
+ * override element.
+ *
+ * @param {object} target   The loaded <schema> node; modified in place.
+ * @param {object} element  The <redefine> or <override> element.
+ * @param {'redefine'|'override'} kind
+ * @returns {Array<[object, object]>}  Each replaced component and its replacement.
+ */
+export function applyRedefinitions(target, element, kind) {
+  const replaced = [];
+  for (const key of REDEFINABLE_KEYS[kind]) {
+    for (const replacement of arr(element[key])) {
+      const items = arr(target[key]);
+      const i = items.findIndex((item) => item['@_name'] === replacement['@_name']);
+      if (i === -1) continue;
+      const original = items[i];
+      const updated = kind === 'redefine' ? redefine(key, original, replacement) : replacement;
+      Object.defineProperty(updated, REDEFINITION, {
+        value: { kind, original: sourceOf(original) },
+        configurable: true,
+      });
+      items[i] = updated;
+      target[key] = items;
+      replaced.push([original, updated]);
+    }
+  }
+  return replaced;
+}
+
+/**
+ * Derives a redefined component from the original it replaces.
+ *
+ * @param {string} key  Component kind (complexType, simpleType, group, attributeGroup).
+ * @param {object} original
+ * @param {object} replacement
+ * @returns {object}
+ */
+function redefine(key, original, replacement) {
+  const name = replacement['@_name'];
+  if (key === 'complexType') {
+    const derivation = arr(replacement['complexContent'])[0];
+    if (refersTo(derivation?.['extension'], '@_base', name)) {
+      return derived(original, replacement, extendContent(original, derivation['extension']));
+    }
+    if (refersTo(derivation?.['restriction'], '@_base', name)) {
+      return derived(original, replacement, pick(derivation['restriction'], CONTENT_KEYS));
+    }
+  }
+  if (key === 'simpleType' && refersTo(replacement['restriction'], '@_base', name)) {
+    const { ['@_base']: _, ...facets } = replacement['restriction'];
+    const restriction = withMeta(
+      { ...original['restriction'], ...facets },
+      original['restriction'],
+    );
+    return derived(original, replacement, { restriction });
+  }
+  if (key === 'group') {
+    const [compositorKey, compositor] = compositorOf(replacement);
+    const self = arr(compositor?.['group']).find((g) => refersTo(g, '@_ref', name));
+    if (self) {
+      const [originalKey, originalCompositor] = compositorOf(original);
+      const expanded = withMeta({ ...compositor }, compositor);
+      expanded['group'] = arr(compositor['group']).filter((g) => g !== self);
+      if (!expanded['group'].length) delete expanded['group'];
+      if (originalKey) expanded[originalKey] = [...arr(expanded[originalKey]), originalCompositor];
+      return withMeta({ ...replacement, [compositorKey]: [expanded] }, replacement);
+    }
+  }
+  if (key === 'attributeGroup') {
+    const self = arr(replacement['attributeGroup']).find((g) => refersTo(g, '@_ref', name));
+    if (self) {
+      const expanded = withMeta({ ...replacement }, replacement);
+      expanded['attributeGroup'] = arr(replacement['attributeGroup']).filter((g) => g !== self);
+      if (!expanded['attributeGroup'].length) delete expanded['attributeGroup'];
+      for (const attrKey of ATTRIBUTE_KEYS) {
+        const items = [...arr(original[attrKey]), ...arr(expanded[attrKey])];
+        if (items.length) expanded[attrKey] = items;
+      }
+      return expanded;
+    }
+  }
+  return replacement;
+}
+
+/**
+ * The content of an original complexType followed by that of an extension:
+ * two sequences are concatenated, anything else is nested in a new sequence.
+ * Attributes are concatenated. A derived original keeps its own derivation,
+ * with the extension applied to the content inside it.
+ *
+ * @param {object} original
+ * @param {object} extension
+ * @returns {object}  Content keys for the redefined complexType.
+ */
+function extendContent(original, extension) {
+  const outer = arr(original['complexContent'])[0];
+  const holder = outer?.['extension'] ?? outer?.['restriction'] ?? original;
+  const content = {};
+  const [baseKey, base] = compositorOf(holder);
+  const [extKey, ext] = compositorOf(extension);
+  if (base || ext) {
+    const sequence = baseKey === 'sequence' ? withMeta({ ...base }, base) : {};
+    if (base && baseKey !== 'sequence') sequence[baseKey] = [base];
+    if (extKey === 'sequence') {
+      for (const [k, v] of Object.entries(ext)) {
+        sequence[k] = k.startsWith('@_') ? v : [...arr(sequence[k]), ...arr(v)];
+      }
+    } else if (ext) {
+      sequence[extKey] = [...arr(sequence[extKey]), ext];
+    }
+    content['sequence'] = [sequence];
+  }
+  for (const key of ATTRIBUTE_KEYS) {
+    const items = [...arr(holder[key]), ...arr(extension[key])];
+    if (items.length) content[key] = items;
+  }
+  if (holder === original) return content;
+  const derivation = outer['extension'] ? 'extension' : 'restriction';
+  return {
+    complexContent: withMeta(
+      { ...outer, [derivation]: withMeta({ ...pick(holder, ['@_base']), ...content }, holder) },
+      outer,
+    ),
+  };
+}
+
+/**
+ * Builds the redefined component: the original's remaining properties, the
+ * replacement's name and documentation, and the given content.
+ *
+ * @param {object} original
+ * @param {object} replacement
+ * @param {object} content
+ * @returns {object}
+ */
+function derived(original, replacement, content) {
+  const node = {};
+  for (const [key, value] of Object.entries(original)) {
+    if (!key.startsWith('@_') && key !== 'annotation') continue;
+    node[key] = value;
+  }
+  if (replacement['annotation']) node['annotation'] = replacement['annotation'];
+  return withMeta({ ...node, ...content, '@_name': replacement['@_name'] }, replacement);
+}
+
+/**
+ * @param {object} node
+ * @returns {[string, object]|[]}  The first compositor child and its key.
+ */
+function compositorOf(node) {
+  for (const key of COMPOSITOR_KEYS) {
+    const compositor = arr(node?.[key])[0];
+    if (compositor && typeof compositor === 'object') return [key, compositor];
+  }
+  return [];
+}
+
+/**
+ * True when node's attribute names the component called name.
+ *
+ * @param {object|undefined} node
+ * @param {string} attribute  e.g. "@_base" or "@_ref".
+ * @param {string} name
+ * @returns {boolean}
+ */
+function refersTo(node, attribute, name) {
+  return !!node && qname(node[attribute], node)?.localName === name;
+}
+
+/**
+ * @param {object} node
+ * @param {string[]} keys
+ * @returns {object}  The properties of node among keys.
+ */
+function pick(node, keys) {
+  return Object.fromEntries(Object.entries(node).filter(([key]) => keys.includes(key)));
+}
+
+/**
+ * Copies the non-enumerable annotations (namespace scope, target namespace,
+ * source) of from onto node, so qualified names in it still resolve.
+ *
+ * @param {object} node
+ * @param {object} from
+ * @returns {object}  node
+ */
+function withMeta(node, from) {
+  for (const symbol of Object.getOwnPropertySymbols(from ?? {})) {
+    if (symbol === REDEFINITION) continue;
+    Object.defineProperty(node, symbol, Object.getOwnPropertyDescriptor(from, symbol));
+  }
+  return node;
+}
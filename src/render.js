@@ -9,27 +9,94 @@
  *
  * The output uses only semantic HTML5 elements so that edible-css can style
  * everything without CSS classes:
- *   <details>/<summary>  – collapsible type definitions
+ *   <details>/<summary>  – collapsible types, model groups and anonymous nested types
  *   <table>              – fields, message parts, binding ops, endpoints
+ *   <caption>            – "One of", optional or repeating groups of fields
  *   <article>            – one per WSDL operation
  *   <blockquote>         – <wsdl:documentation> text
  *   <code>               – type names, namespaces, SOAPActions, URLs
- *   <mark>               – required fields (minOccurs >= 1)
+ *   <mark>               – required fields (minOccurs >= 1, outside a choice)
  *
  * Operations are rendered with their input/output messages expanded inline
  * (fields resolved via resolve.js) so the reader does not have to jump
- * between sections to understand a call's shape.
+ * between sections to understand a call's shape. Each is labelled with its
+ * transmission pattern – request-response, one-way, solicit-response or
+ * notification, or the WSDL 2.0 pattern name for the others – and its
+ * messages appear in the order the pattern exchanges them.
+ *
+ * When two declarations (or two messages) share a local name but live in
+ * different namespaces, their names (and references to them) get a short
+ * namespace label such as
+ * <small><abbr title="http://vendor-a.com/address">vendor-a.com/address</abbr></small>
+ * so the reader can tell them apart. Unambiguous names are left unlabelled.
+ * Types that replaced another through xs:redefine or xs:override carry a note
+ * naming the file of the new and of the original definition.
+ *
+ * A type derived through complexContent links to its base ("extends Base" or
+ * "restricts Base"); each type's <summary> carries an id such as "type-Base"
+ * for that purpose. Its field table lists the inherited fields first, in one
+ * <tbody> per ancestor headed "Inherited from …", then the fields it declares.
+ * A simpleType links to the type it restricts in the same way, and lists its
+ * facets, list item type or union member types, and allowed values. A type
+ * with simple content is described as "decimal value with attributes: …"
+ * ahead of its attribute table. Abstract types and elements, and those with
+ * final or block set, say so in their <summary>. Wildcards (xs:any and
+ * xs:anyAttribute) get a row of their own, "any element" or "any attribute",
+ * naming the namespaces they accept and how their content is validated.
  *
  * renderHtml(model, options) is the single public entry point.
- * options: { title?: string, inlineCss?: string }
- *   title     – overrides the page <title>; defaults to "{model.name} – WSDL Reference"
- *   inlineCss – when set, embeds this string in a <style> tag instead of the CDN <link>
+ * options: { title?: string, inlineCss?: string, sourceHints?: boolean }
+ *   title       – overrides the page <title>; defaults to "{model.name} – WSDL Reference"
+ *   inlineCss   – when set, embeds this string in a <style> tag instead of the CDN <link>
+ *   sourceHints – when true, each type notes where it is defined, e.g. "shared.xsd:142"
  */
 
-import { buildIndex, resolveMessageFields } from './resolve.js';
+import {
+  buildIndex,
+  inheritedFields,
+  refOf,
+  resolveMessageFields,
+  substitutionMembers,
+  valueType,
+} from './resolve.js';
+import { qnameKey } from './util.js';
 
 const CDN = 'https://cdn.jsdelivr.net/npm/@svmukhin/edible-css@latest/dist/edible.min.css';
 
+const COMPOSITOR_CAPTIONS = {
+  sequence: 'Sequence',
+  choice: 'One of',
+  all: 'All of, in any order',
+};
+
+const FACET_PHRASES = {
+  pattern: (v) => `Matches ${v}`,
+  length: (v) => `Length exactly ${v}`,
+  minLength: (v) => `Length at least ${v}`,
+  maxLength: (v) => `Length at most ${v}`,
+  minInclusive: (v) => `At least ${v}`,
+  maxInclusive: (v) => `At most ${v}`,
+  minExclusive: (v) => `Greater than ${v}`,
+  maxExclusive: (v) => `Less than ${v}`,
+  totalDigits: (v) => `At most ${v} digits`,
+  fractionDigits: (v) => `At most ${v} fraction digits`,
+  whiteSpace: (v) => `Whitespace: ${v}`,
+};
+
+const PATTERN_LABELS = {
+  'in-out': 'request-response',
+  'in-only': 'one-way',
+  'out-in': 'solicit-response',
+  'out-only': 'notification',
+};
+
+const NAMESPACE_PHRASES = {
+  '##any': 'any namespace',
+  '##other': 'any other namespace',
+  '##targetNamespace': 'the target namespace',
+  '##local': 'no namespace',
+};
+
 /**
  * Escapes a string for safe HTML text content and attribute values.
  *
@@ -90,46 +157,598 @@ ${model.documentation ? doc(model.documentation) : ''}
 </header>`;
 }
 
+/**
+ * Works out which local names are declared in more than one namespace and
+ * assigns each of those namespaces a short label: the shortest trailing run of
+ * URI segments (ignoring version segments like "v2") that is unique among them.
+ *
+ * @param {Array<{ name: string, namespace?: string }>} types
+ * @returns {Map<string, string>}  "{ns}local" key → label, for ambiguous names only.
+ */
+function namespaceLabels(types) {
+  const namespacesByName = new Map();
+  for (const t of types) {
+    if (!namespacesByName.has(t.name)) namespacesByName.set(t.name, new Set());
+    namespacesByName.get(t.name).add(t.namespace ?? '');
+  }
+  const ambiguous = [...namespacesByName].filter(([, namespaces]) => namespaces.size > 1);
+  const namespaces = [...new Set(ambiguous.flatMap(([, nss]) => [...nss]))];
+  const segments = namespaces.map((ns) =>
+    ns.split(/[/:#]+/).filter((seg) => seg && !/^v?\d+([._]\d+)*$/i.test(seg)),
+  );
+  const longest = Math.max(1, ...segments.map((segs) => segs.length));
+  let short = namespaces;
+  for (let n = 1; n <= longest; n++) {
+    const candidate = segments.map((segs, i) => segs.slice(-n).join('/') || namespaces[i]);
+    if (new Set(candidate).size === candidate.length) {
+      short = candidate;
+      break;
+    }
+  }
+  const labelByNs = new Map(namespaces.map((ns, i) => [ns, short[i] || 'no namespace']));
+  const labels = new Map();
+  for (const [name, nss] of ambiguous) {
+    for (const ns of nss) {
+      labels.set(qnameKey({ namespace: ns, localName: name }), labelByNs.get(ns));
+    }
+  }
+  return labels;
+}
+
+/**
+ * Returns the namespace label for a qualified reference, or an empty string
+ * when the local name is unambiguous.
+ *
+ * @param {{ namespace: string, localName: string }|null|undefined} ref
+ * @param {Map<string, string>} labels
+ * @returns {string}
+ */
+function nsLabel(ref, labels) {
+  const label = labels.get(qnameKey(ref));
+  if (!label) return '';
+  return ` <small><abbr title="${esc(ref.namespace)}">${esc(label)}</abbr></small>`;
+}
+
+/**
+ * Builds the id of a type's <summary>: "type-", "element-" or "group-"
+ * followed by the name and, for an ambiguous name, its namespace label.
+ * Characters that are awkward in a URL fragment become "-".
+ *
+ * @param {{ name: string, namespace?: string, kind: string }} type
+ * @param {Map<string, string>} labels
+ * @returns {string}
+ */
+function typeAnchor(type, labels) {
+  const label = labels.get(qnameKey({ namespace: type.namespace ?? '', localName: type.name }));
+  const prefix = type.kind === 'element' || type.kind === 'group' ? type.kind : 'type';
+  return [prefix, type.name, label]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^A-Za-z0-9_.-]/g, '-');
+}
+
+/**
+ * Renders a reference to a type as a link to its definition on the page, or
+ * as plain code when the type is not in the model (e.g. a built-in type) or
+ * no index is given.
+ *
+ * @param {string} name  Display name of the type.
+ * @param {{ namespace: string, localName: string }|null} ref
+ * @param {{ typeByQName: Map, elementByQName: Map, groupByQName: Map }|undefined} index
+ * @param {Map<string, string>} labels
+ * @param {'typeByQName'|'elementByQName'|'groupByQName'} [byQName]  Index to look ref up in.
+ * @returns {string}
+ */
+function typeLink(name, ref, index, labels, byQName = 'typeByQName') {
+  const target = ref && index?.[byQName]?.get(qnameKey(ref));
+  const code = `<code>${esc(name)}</code>${nsLabel(ref, labels)}`;
+  return target ? `<a href="#${esc(typeAnchor(target, labels))}">${code}</a>` : code;
+}
+
+/**
+ * Renders " extends Base" (or " restricts Base") for a type derived through
+ * complexContent or a simpleType restriction, with Base linked; empty for
+ * other types.
+ *
+ * @param {{ base: string, baseRef: object|null, derivation: string|null }} type
+ * @param {{ typeByQName: Map }|undefined} index
+ * @param {Map<string, string>} labels
+ * @returns {string}
+ */
+function derivationNote(type, index, labels) {
+  if (!type.derivation) return '';
+  const verb = type.derivation === 'restriction' ? 'restricts' : 'extends';
+  return ` <small>${verb} ${typeLink(type.base, type.baseRef, index, labels)}</small>`;
+}
+
 /**
  * Renders a single type as a <details> block. complexType and element-wrapped
- * types get a field table; simpleType enumerations get a value list.
+ * types get a field table, preceded by a description of their text value when
+ * they have simple content; simpleTypes a summary of their constraints.
  *
- * @param {{ name, kind, documentation, fields, enumerations }} type
+ * @param {{ name, namespace, kind, documentation, fields, enumerations, base, baseRef, derivation, source }} type
+ * @param {{ typeByName: Map, typeByQName: Map }} index
+ * @param {Map<string, string>} labels
+ * @param {boolean} [sourceHints]  Note the file and line the type is defined at.
  * @returns {string}
  */
-function renderType(type) {
-  const kindLabel = type.kind === 'simpleType' ? 'enum' : 'type';
-  const body =
-    type.kind === 'simpleType'
-      ? renderEnumerations(type.enumerations)
-      : renderFieldTable(type.fields);
+function renderType(type, index, labels, sourceHints) {
+  const inherited = inheritedFields(type, index);
+  let body = renderFieldTable(type, labels, inherited, index);
+  if (type.kind === 'simpleType') {
+    body = renderSimpleType(type, index, labels) || '<p><em>No constraints.</em></p>';
+  } else if (type.simpleContent) {
+    body = renderSimpleContent(type, labels, inherited, index);
+  }
+  const ref = { namespace: type.namespace ?? '', localName: type.name };
+  const label = nsLabel(ref, labels);
+  const notes = type.kind === 'element' ? elementNotes(ref, index, labels) : '';
   return `<details>
-<summary><strong>${esc(type.name)}</strong> <small>${kindLabel}</small></summary>
+<summary id="${esc(typeAnchor(type, labels))}"><strong>${esc(type.name)}</strong>${label} <small>${kindLabel(type)}</small>${finalityNote(type)}${derivationNote(type, index, labels)}</summary>
+${type.redefinition ? renderRedefinition(type) : ''}
+${sourceHints ? renderSourceHint(type.source) : ''}
 ${doc(type.documentation)}
-${body}
+${notes}${body}
 </details>`;
 }
 
 /**
- * Renders a <table> of XSD field descriptors. Required fields (minOccurs >= 1)
- * have their name wrapped in <mark>.
+ * Renders a type with simple content: the type of its text value, through any
+ * bases with simple content, and the names of its attributes ("decimal value
+ * with attributes: currency"), any facets a restriction puts on the value,
+ * and the attribute table when there are attributes.
+ *
+ * @param {{ base: string, baseRef: object|null, simpleContent: { facets: Array, enumerations: string[] }, fields: Array, attributes: Array }} type
+ * @param {Map<string, string>} labels
+ * @param {Array<{ attributes: Array }>} inherited  From inheritedFields().
+ * @param {object} [index]
+ * @returns {string}
+ */
+function renderSimpleContent(type, labels, inherited, index) {
+  const attributes = [...inherited.flatMap((g) => g.attributes), ...type.attributes];
+  const { name, ref } = index ? valueType(type, index) : { name: type.base, ref: type.baseRef };
+  const value = `${typeLink(name || 'anySimpleType', ref, index, labels)} value`;
+  const names = attributes
+    .map((a) => (a.wildcard ? '<em>any attribute</em>' : `<code>${esc(a.name)}</code>`))
+    .join(', ');
+  return [
+    `<p>${names ? `${value} with attributes: ${names}` : value}</p>`,
+    renderSimpleType(type.simpleContent, index, labels),
+    attributes.length ? renderFieldTable(type, labels, inherited, index) : '',
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Renders the abstract, final and block badges of a type or element, e.g.
+ * " <small>abstract · final <code>#all</code></small>".
+ *
+ * @param {{ abstract?: boolean, final?: string|null, block?: string|null }} type
+ * @returns {string}
+ */
+function finalityNote(type) {
+  const notes = [];
+  if (type.abstract) notes.push('abstract');
+  if (type.final) notes.push(`final <code>${esc(type.final)}</code>`);
+  if (type.block) notes.push(`block <code>${esc(type.block)}</code>`);
+  return notes.length ? ` <small>${notes.join(' · ')}</small>` : '';
+}
+
+/**
+ * Describes the element behind an element-wrapped type: the substitution
+ * group it joins, whether it is nillable or has a default or fixed value, and
+ * the elements that may appear in its place.
+ *
+ * @param {{ namespace: string, localName: string }} ref
+ * @param {object} index
+ * @param {Map<string, string>} labels
+ * @returns {string}  A paragraph ending in a newline; empty when there is nothing to note.
+ */
+function elementNotes(ref, index, labels) {
+  const declaration = index.declarationByQName.get(qnameKey(ref));
+  if (!declaration) return '';
+  const notes = valueNotes({ ...declaration, form: null });
+  if (declaration.substitutionGroupRef) {
+    const head = typeLink(
+      declaration.substitutionGroup,
+      declaration.substitutionGroupRef,
+      index,
+      labels,
+      'elementByQName',
+    );
+    notes.unshift(`substitutes for ${head}`);
+  }
+  notes.push(...substitutionNotes(ref, index, labels).filter((n) => n !== 'abstract'));
+  return notes.length ? `<p><small>${notes.join(' · ')}</small></p>\n` : '';
+}
+
+/**
+ * Names what a type is in its <summary>: a simpleType is an "enum" only when
+ * it lists its values, and otherwise a "list", a "union" or a "simple type".
+ *
+ * @param {{ kind: string, enumerations: string[], itemType?: object|null, memberTypes?: Array }} type
+ * @returns {string}
+ */
+function kindLabel(type) {
+  if (type.kind === 'group') return 'group';
+  if (type.kind !== 'simpleType') return 'type';
+  if (type.enumerations.length) return 'enum';
+  if (type.itemType) return 'list';
+  if (type.memberTypes?.length) return 'union';
+  return 'simple type';
+}
+
+/**
+ * Summarises the constraints of a simpleType, or of an anonymous one inside a
+ * list or union: what a list holds or which types a union admits, one line
+ * per facet ("Length at most 35", "Matches [A-Z]{2}"), then the allowed
+ * values. Empty when there are none.
+ *
+ * @param {{ enumerations: string[], facets?: Array<{ name: string, value: string }>, itemType?: object|null, memberTypes?: Array }} simpleType
+ * @param {object} index
+ * @param {Map<string, string>} labels
+ * @returns {string}
+ */
+function renderSimpleType(simpleType, index, labels) {
+  const constraints = (simpleType.facets ?? []).map((f) =>
+    FACET_PHRASES[f.name](`<code>${esc(f.value)}</code>`),
+  );
+  if (simpleType.memberTypes?.length) {
+    const members = simpleType.memberTypes.map((m) => memberType(m, index, labels));
+    constraints.unshift(`A value of any one of ${members.join(', ')}`);
+  }
+  if (simpleType.itemType) {
+    constraints.unshift(
+      `A whitespace-separated list of ${memberType(simpleType.itemType, index, labels)}`,
+    );
+  }
+  const values = simpleType.enumerations.length ? renderEnumerations(simpleType.enumerations) : '';
+  if (!constraints.length) return values;
+  const list = `<ul>${constraints.map((c) => `<li>${c}</li>`).join('')}</ul>`;
+  return values ? `${list}\n<p>One of:</p>\n${values}` : list;
+}
+
+/**
+ * Renders the item type of a list or a member type of a union: a link to a
+ * named type, or an anonymous one followed by its own constraints.
+ *
+ * @param {{ type: string, typeRef: object|null, simpleType: object|null }} member
+ * @param {object} index
+ * @param {Map<string, string>} labels
+ * @returns {string}
+ */
+function memberType(member, index, labels) {
+  if (!member.simpleType) return typeLink(member.type, member.typeRef, index, labels);
+  return `<em>anonymous</em>${derivationNote(member.simpleType, index, labels)}${renderSimpleType(member.simpleType, index, labels)}`;
+}
+
+/**
+ * Notes that a type replaced another through xs:redefine or xs:override, and
+ * which files the new and the original definition are in.
+ *
+ * @param {{ source: object|null, redefinition: { kind: string, original: object|null } }} type
+ * @returns {string}
+ */
+function renderRedefinition(type) {
+  const file = fileName(type.source);
+  const original = fileName(type.redefinition.original);
+  return `<p><small>Redefined by <code>xs:${esc(type.redefinition.kind)}</code>${
+    file ? ` in <code>${esc(file)}</code>` : ''
+  }${original ? `; originally defined in <code>${esc(original)}</code>` : ''}.</small></p>`;
+}
+
+/**
+ * @param {{ file: string|null }|null} source
+ * @returns {string}  The last path segment of the source file, or "".
+ */
+function fileName(source) {
+  return source?.file ? source.file.slice(source.file.search(/[^/\\]*$/)) : '';
+}
+
+/**
+ * Renders "Defined in shared.xsd:142" for a declaration source, naming the
+ * file by its last path segment. Empty when the source is unknown.
+ *
+ * @param {{ file: string|null, line: number|null, column: number|null }|null} source
+ * @returns {string}
+ */
+function renderSourceHint(source) {
+  const file = fileName(source);
+  const line = source?.line;
+  if (!file && !line) return '';
+  const where = file && line ? `${file}:${line}` : file || `line ${line}`;
+  return `<p><small>Defined in <code>${esc(where)}</code></small></p>`;
+}
+
+/**
+ * Renders a <table> of the fields and attributes of a type, of the anonymous
+ * type of a field, or of a resolved message part. Attributes are listed
+ * before the elements, named "@id". Badges ahead of the documentation note
+ * that an attribute is prohibited or an element nillable, a default or fixed
+ * value, an explicit form, and for a ref= to an abstract or substitution
+ * group head element the elements that may appear in its place. Elements
+ * follow the content model: a nested choice, an `all`, and a sequence that is
+ * optional or repeats are each rendered as a captioned table in a row of
+ * their own ("One of", "All of, in any order" or "Sequence", followed by
+ * "optional" or "repeated 1..unbounded times" when the group is). Required
+ * elements (minOccurs >= 1 and not inside a choice or an optional group) and
+ * required attributes have their name wrapped in <mark>. Wildcards are rows
+ * named "any element" or "any attribute".
+ *
+ * Inherited fields come first, in a <tbody> per ancestor headed by a link to
+ * it. A field with an anonymous type is followed by a row holding that type's
+ * own table, collapsed in a <details>, so nested structures read as a tree. A
+ * ref= field that has neither (a recursive reference, or one that does not
+ * resolve) shows the element it refers to instead.
  *
- * @param {Array<{ name, type, minOccurs, maxOccurs, documentation }>} fields
+ * @param {{ content?: object|null, fields: Array, attributes?: Array }} type
+ * @param {Map<string, string>} labels
+ * @param {Array<{ type: object, content: object|null, fields: Array, attributes: Array }>} [inherited]  From inheritedFields().
+ * @param {{ typeByQName: Map, elementByQName: Map }} [index]  Links base types; required when inherited is not empty.
  * @returns {string}
  */
-function renderFieldTable(fields) {
-  if (!fields.length) return '<p><em>No fields.</em></p>';
-  const rows = fields.map((f) => {
-    const required = String(f.minOccurs) !== '0';
-    const nameCel = required ? `<mark>${esc(f.name)}</mark>` : esc(f.name);
-    return `<tr><td>${nameCel}</td><td><code>${esc(f.type)}</code></td><td>${esc(f.minOccurs)}</td><td>${esc(f.maxOccurs)}</td><td>${esc(f.documentation)}</td></tr>`;
+function renderFieldTable(type, labels, inherited = [], index = undefined) {
+  const groups = inherited.filter(
+    (g) => g.fields.length || g.attributes.length || g.content?.items.length,
+  );
+  const own = type.fields.length || type.attributes?.length || type.content?.items.length;
+  if (!own && !groups.length) return '<p><em>No fields.</em></p>';
+  const bodies = groups.map((g) => {
+    const ref = { namespace: g.type.namespace ?? '', localName: g.type.name };
+    const heading = `<tr><th colspan="5">Inherited from ${typeLink(g.type.name, ref, index, labels)}</th></tr>`;
+    return `<tbody>\n${heading}\n${fieldRows(g, labels, index)}</tbody>`;
   });
+  if (own) bodies.push(`<tbody>${fieldRows(type, labels, index)}</tbody>`);
   return `<table>
 <thead><tr><th>Field</th><th>Type</th><th>Min</th><th>Max</th><th>Documentation</th></tr></thead>
-<tbody>${rows.join('\n')}</tbody>
+${bodies.join('\n')}
 </table>`;
 }
 
+/**
+ * Renders the attribute rows of a type followed by the rows of its content
+ * model, or of its fields when it has no content model.
+ *
+ * @param {{ content?: object|null, fields: Array, attributes?: Array }} type
+ * @param {Map<string, string>} labels
+ * @param {object} [index]
+ * @returns {string}
+ */
+function fieldRows(type, labels, index) {
+  return [
+    ...(type.attributes ?? []).map((a) =>
+      a.wildcard ? wildcardRow(a, false) : attributeRow(a, labels),
+    ),
+    ...(type.content
+      ? [contentRows(type.content, labels, index, false)]
+      : type.fields.map((f) => fieldRow(f, labels, index, false))),
+  ].join('\n');
+}
+
+/**
+ * Renders the rows of a compositor. A sequence that occurs exactly once within
+ * another sequence adds nothing to the reader's picture and its items are
+ * rendered in place; any other compositor – including such a sequence when it
+ * is one option of a choice – becomes a captioned table spanning a row. So
+ * does a compositor expanded from a model group, whose caption links to the
+ * group.
+ *
+ * @param {{ compositor: string, minOccurs: string, maxOccurs: string, items: Array, group: object|null }} compositor
+ * @param {Map<string, string>} labels
+ * @param {object} [index]
+ * @param {boolean} optional  Whether an enclosing group makes its fields optional.
+ * @param {string} [parent]  The enclosing compositor, if any.
+ * @returns {string}
+ */
+function contentRows(compositor, labels, index, optional, parent = 'sequence') {
+  const occurs = occurrence(compositor.minOccurs, compositor.maxOccurs);
+  const inner =
+    optional || compositor.compositor === 'choice' || String(compositor.minOccurs) === '0';
+  const rows = compositor.items
+    .map((item) =>
+      item.compositor
+        ? contentRows(item, labels, index, inner, compositor.compositor)
+        : item.wildcard
+          ? wildcardRow(item, inner)
+          : fieldRow(item, labels, index, inner),
+    )
+    .join('\n');
+  if (
+    compositor.compositor === 'sequence' &&
+    parent === 'sequence' &&
+    !occurs &&
+    !compositor.group
+  ) {
+    return rows;
+  }
+  const notes = [
+    compositor.group
+      ? `from group ${typeLink(compositor.group.localName, compositor.group, index, labels, 'groupByQName')}`
+      : '',
+    occurs,
+  ].filter(Boolean);
+  const caption = `${COMPOSITOR_CAPTIONS[compositor.compositor]}${notes.length ? ` <small>${notes.join(' · ')}</small>` : ''}`;
+  return `<tr><td colspan="5"><table>
+<caption>${caption}</caption>
+<tbody>${rows}</tbody>
+</table></td></tr>`;
+}
+
+/**
+ * Describes how often a group occurs: "" for exactly once, "optional", or
+ * "repeated 0..unbounded times".
+ *
+ * @param {string} minOccurs
+ * @param {string} maxOccurs
+ * @returns {string}
+ */
+function occurrence(minOccurs, maxOccurs) {
+  const min = String(minOccurs);
+  const max = String(maxOccurs);
+  if (max === '1') return min === '0' ? 'optional' : '';
+  return `repeated ${min}..${max} times`;
+}
+
+/**
+ * @param {{ type: string, typeRef: object|null }} item
+ * @param {Map<string, string>} labels
+ * @returns {string}
+ */
+function typeCell(item, labels) {
+  return `<td><code>${esc(item.type)}</code>${nsLabel(item.typeRef, labels)}</td>`;
+}
+
+/**
+ * @param {{ name, type, typeRef, use, default, fixed, documentation }} attribute
+ * @param {Map<string, string>} labels
+ * @returns {string}
+ */
+function attributeRow(attribute, labels) {
+  const required = attribute.use === 'required';
+  const name = `@${esc(attribute.name)}`;
+  const notes = notesCell(valueNotes(attribute), attribute.documentation);
+  return `<tr><td>${required ? `<mark>${name}</mark>` : name}</td>${typeCell(attribute, labels)}<td>${required ? 1 : 0}</td><td>${attribute.use === 'prohibited' ? 0 : 1}</td>${notes}</tr>`;
+}
+
+/**
+ * Renders an element or attribute wildcard: the namespaces it accepts in the
+ * type column, and how strictly its content is validated as a badge.
+ *
+ * @param {{ wildcard: 'element'|'attribute', namespace: string, processContents: string, minOccurs?: string, maxOccurs?: string, documentation: string }} wildcard
+ * @param {boolean} optional  Whether an enclosing group makes the wildcard optional.
+ * @returns {string}
+ */
+function wildcardRow(wildcard, optional) {
+  const element = wildcard.wildcard === 'element';
+  const name = `<em>any ${wildcard.wildcard}</em>`;
+  const required = element && !optional && String(wildcard.minOccurs) !== '0';
+  const namespaces = wildcard.namespace
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((ns) => NAMESPACE_PHRASES[ns] ?? `<code>${esc(ns)}</code>`);
+  const min = element ? esc(wildcard.minOccurs) : 0;
+  const max = element ? esc(wildcard.maxOccurs) : 'unbounded';
+  const notes = notesCell(
+    [`processContents <code>${esc(wildcard.processContents)}</code>`],
+    wildcard.documentation,
+  );
+  return `<tr><td>${required ? `<mark>${name}</mark>` : name}</td><td>${namespaces.length ? `from ${namespaces.join(', ')}` : 'matches nothing'}</td><td>${min}</td><td>${max}</td>${notes}</tr>`;
+}
+
+/**
+ * @param {{ name, ref, type, typeRef, minOccurs, maxOccurs, documentation, children }} field
+ * @param {Map<string, string>} labels
+ * @param {object} [index]
+ * @param {boolean} optional  Whether an enclosing group makes the field optional.
+ * @returns {string}
+ */
+function fieldRow(field, labels, index, optional) {
+  const required = !optional && String(field.minOccurs) !== '0';
+  const nameCel = required ? `<mark>${esc(field.name)}</mark>` : esc(field.name);
+  let type = typeCell(field, labels);
+  if (field.children) {
+    type = `<td><em>anonymous</em>${derivationNote(field.children, index, labels)}</td>`;
+  } else if (field.ref && !field.type) {
+    const element = typeLink(field.ref.localName, field.ref, index, labels, 'elementByQName');
+    type = `<td>${element} <small>(element)</small></td>`;
+  }
+  const notes = [
+    ...valueNotes(field),
+    ...(field.ref ? substitutionNotes(field.ref, index, labels) : []),
+  ];
+  const row = `<tr><td>${nameCel}</td>${type}<td>${esc(field.minOccurs)}</td><td>${esc(field.maxOccurs)}</td>${notesCell(notes, field.documentation)}</tr>`;
+  return field.children ? `${row}${renderChildren(field, labels, index)}` : row;
+}
+
+/**
+ * Renders the anonymous type of a field as a table row spanning the whole
+ * table, holding a collapsed <details> with the type's own field table.
+ * Empty when the type declares no fields, attributes, groups or value facets
+ * and inherits none; a group that refers back to an enclosing one is kept, as
+ * a link.
+ *
+ * @param {{ name: string, children: { content: object|null, simpleContent: object|null, fields: Array, attributes: Array } }} field
+ * @param {Map<string, string>} labels
+ * @param {{ typeByQName: Map }} [index]
+ * @returns {string}
+ */
+function renderChildren(field, labels, index) {
+  const { content, simpleContent, fields, attributes } = field.children;
+  const inherited = index ? inheritedFields(field.children, index) : [];
+  const constrained = simpleContent?.facets.length || simpleContent?.enumerations.length;
+  if (
+    !fields.length &&
+    !attributes.length &&
+    !inherited.length &&
+    !content?.items.length &&
+    !constrained
+  ) {
+    return '';
+  }
+  const body = simpleContent
+    ? renderSimpleContent(field.children, labels, inherited, index)
+    : renderFieldTable(field.children, labels, inherited, index);
+  return `
+<tr><td colspan="5"><details>
+<summary><small>Fields of <code>${esc(field.name)}</code></small></summary>
+${body}
+</details></td></tr>`;
+}
+
+/**
+ * Lists the badges of an attribute or element: that it is prohibited or
+ * nillable, its default or fixed value, and an explicit form.
+ *
+ * @param {{ use?: string, nillable?: boolean, default: string|null, fixed: string|null, form?: string|null }} item
+ * @returns {string[]}
+ */
+function valueNotes(item) {
+  const notes = [];
+  if (item.use === 'prohibited') notes.push('prohibited');
+  if (item.nillable) notes.push('nillable');
+  if (item.default !== null) notes.push(`default <code>${esc(item.default)}</code>`);
+  if (item.fixed !== null) notes.push(`fixed <code>${esc(item.fixed)}</code>`);
+  if (item.form) notes.push(`form <code>${esc(item.form)}</code>`);
+  return notes;
+}
+
+/**
+ * Renders the documentation cell of a row: the badges, then the
+ * documentation.
+ *
+ * @param {string[]} notes  HTML.
+ * @param {string} documentation
+ * @returns {string}
+ */
+function notesCell(notes, documentation) {
+  const badges = notes.length ? `<small>${notes.join(' · ')}</small>` : '';
+  return `<td>${[badges, esc(documentation)].filter(Boolean).join(' ')}</td>`;
+}
+
+/**
+ * Notes that an element is abstract and which elements may appear in its
+ * place through its substitution group, linked to their definitions.
+ *
+ * @param {{ namespace: string, localName: string }} ref
+ * @param {object} [index]
+ * @param {Map<string, string>} labels
+ * @returns {string[]}  HTML.
+ */
+function substitutionNotes(ref, index, labels) {
+  const declaration = index?.declarationByQName.get(qnameKey(ref));
+  const members = index ? substitutionMembers(ref, index) : [];
+  const links = members.map((el) => {
+    const member = { namespace: el.namespace ?? '', localName: el.name };
+    return typeLink(el.name, member, index, labels, 'elementByQName');
+  });
+  const notes = declaration?.abstract ? ['abstract'] : [];
+  if (links.length) {
+    notes.push(`${declaration?.abstract ? 'appears as' : 'or as'} ${links.join(', ')}`);
+  }
+  return notes;
+}
+
 /**
  * Renders enumeration values as an unordered list.
  *
@@ -142,15 +761,34 @@ function renderEnumerations(values) {
 }
 
 /**
- * Renders the types section.
+ * Renders the types section. When the types come from more than one schema
+ * namespace they are grouped under an <h3> per namespace, in the order the
+ * namespaces first appear.
  *
  * @param {object[]} types
+ * @param {{ typeByName: Map, typeByQName: Map }} index
+ * @param {Map<string, string>} labels
+ * @param {boolean} [sourceHints]
  * @returns {string}
  */
-function renderTypes(types) {
-  const content = types.length
-    ? types.map(renderType).join('\n')
-    : '<p><em>No types defined.</em></p>';
+function renderTypes(types, index, labels, sourceHints) {
+  const byNamespace = new Map();
+  for (const t of types) {
+    const ns = t.namespace ?? '';
+    if (!byNamespace.has(ns)) byNamespace.set(ns, []);
+    byNamespace.get(ns).push(t);
+  }
+  let content = '<p><em>No types defined.</em></p>';
+  if (byNamespace.size > 1) {
+    content = [...byNamespace]
+      .map(([ns, group]) => {
+        const heading = ns ? `<code>${esc(ns)}</code>` : '<em>No namespace</em>';
+        return `<h3>${heading}</h3>\n${group.map((t) => renderType(t, index, labels, sourceHints)).join('\n')}`;
+      })
+      .join('\n');
+  } else if (types.length) {
+    content = types.map((t) => renderType(t, index, labels, sourceHints)).join('\n');
+  }
   return `<section id="types">
 <h2>Types</h2>
 ${content}
@@ -161,19 +799,23 @@ ${content}
  * Renders the messages section as a definition list.
  *
  * @param {object[]} messages
+ * @param {Map<string, string>} labels
+ * @param {Map<string, string>} messageLabels  Namespace labels of the messages.
  * @returns {string}
  */
-function renderMessages(messages) {
+function renderMessages(messages, labels, messageLabels) {
   const content = messages.length
     ? messages
         .map((msg) => {
           const parts = msg.parts
             .map((p) => {
               const ref = p.element || p.type;
-              return `<dd><strong>${esc(p.name)}</strong>: <code>${esc(ref)}</code>${p.element ? ' <small>(element)</small>' : ' <small>(type)</small>'}</dd>`;
+              const label = nsLabel(p.element ? p.elementRef : p.typeRef, labels);
+              return `<dd><strong>${esc(p.name)}</strong>: <code>${esc(ref)}</code>${label}${p.element ? ' <small>(element)</small>' : ' <small>(type)</small>'}</dd>`;
             })
             .join('\n');
-          return `<dt><strong>${esc(msg.name)}</strong></dt>\n${parts}`;
+          const label = nsLabel(refOf(msg), messageLabels);
+          return `<dt><strong>${esc(msg.name)}</strong>${label}</dt>\n${parts}`;
         })
         .join('\n')
     : '<p><em>No messages defined.</em></p>';
@@ -193,16 +835,21 @@ ${content}
  *
  * @param {'Input'|'Output'} direction
  * @param {string} messageName
+ * @param {{ namespace: string, localName: string }|null|undefined} messageRef
  * @param {{ typeByName: Map, messageByName: Map }} index
+ * @param {Map<string, string>} labels
+ * @param {Map<string, string>} messageLabels  Namespace labels of the messages.
  * @returns {string}
  */
-function renderMessageInline(direction, messageName, index) {
-  const parts = resolveMessageFields(messageName, index);
-  const heading = `<h4>${direction} <small><code>${esc(messageName)}</code></small></h4>`;
+function renderMessageInline(direction, messageName, messageRef, index, labels, messageLabels) {
+  const parts = resolveMessageFields(messageRef ?? messageName, index);
+  const heading = `<h4>${direction} <small><code>${esc(messageName)}</code>${nsLabel(messageRef, messageLabels)}</small></h4>`;
   if (!parts.length) return `${heading}\n<p><em>No matching message found.</em></p>`;
   const body = parts
     .map((part) => {
-      if (part.fields.length) return renderFieldTable(part.fields);
+      if (part.fields.length || part.attributes.length || part.content?.items.length) {
+        return renderFieldTable(part, labels, [], index);
+      }
       if (part.enumerations.length) return renderEnumerations(part.enumerations);
       return `<p><em>Type <code>${esc(part.typeName)}</code> – no fields defined.</em></p>`;
     })
@@ -211,23 +858,42 @@ function renderMessageInline(direction, messageName, index) {
 }
 
 /**
- * Renders one WSDL operation as an <article>. Input and output messages are
- * expanded inline via the cross-reference index so the reader sees actual
- * field tables rather than bare message name references.
+ * Renders one WSDL operation as an <article>, noting its transmission pattern
+ * and parameter order. Input and output messages are expanded inline via the
+ * cross-reference index so the reader sees actual field tables rather than
+ * bare message name references. A message the operation does not have gets
+ * no heading; for patterns that start with an output, the output comes first.
  *
- * @param {{ name, documentation, input, output, faults }} op
+ * @param {{ name, documentation, pattern, parameterOrder, input, output, inputRef, outputRef, faults }} op
  * @param {{ typeByName: Map, messageByName: Map }} index
+ * @param {Map<string, string>} labels
+ * @param {Map<string, string>} messageLabels  Namespace labels of the messages.
  * @returns {string}
  */
-function renderOperation(op, index) {
+function renderOperation(op, index, labels, messageLabels) {
   const faultList = op.faults.length
     ? `<h4>Faults</h4><ul>${op.faults.map((f) => `<li><strong>${esc(f.name)}</strong>: <code>${esc(f.message)}</code></li>`).join('')}</ul>`
     : '';
+  const notes = [
+    op.pattern ? esc(PATTERN_LABELS[op.pattern] ?? op.pattern) : '',
+    op.parameterOrder?.length
+      ? `parameter order: ${op.parameterOrder.map((p) => `<code>${esc(p)}</code>`).join(', ')}`
+      : '',
+  ].filter(Boolean);
+  const messages = [
+    op.input || op.inputRef
+      ? renderMessageInline('Input', op.input, op.inputRef, index, labels, messageLabels)
+      : '',
+    op.output || op.outputRef
+      ? renderMessageInline('Output', op.output, op.outputRef, index, labels, messageLabels)
+      : '',
+  ].filter(Boolean);
+  if (op.pattern?.startsWith('out')) messages.reverse();
   return `<article id="op-${esc(op.name)}">
 <h3>${esc(op.name)}</h3>
+${notes.length ? `<p><small>${notes.join(' · ')}</small></p>` : ''}
 ${doc(op.documentation)}
-${renderMessageInline('Input', op.input, index)}
-${renderMessageInline('Output', op.output, index)}
+${messages.join('\n')}
 ${faultList}
 </article>`;
 }
@@ -237,11 +903,13 @@ ${faultList}
  *
  * @param {object[]} operations
  * @param {{ typeByName: Map, messageByName: Map }} index
+ * @param {Map<string, string>} labels
+ * @param {Map<string, string>} messageLabels  Namespace labels of the messages.
  * @returns {string}
  */
-function renderOperations(operations, index) {
+function renderOperations(operations, index, labels, messageLabels) {
   const content = operations.length
-    ? operations.map((op) => renderOperation(op, index)).join('\n')
+    ? operations.map((op) => renderOperation(op, index, labels, messageLabels)).join('\n')
     : '<p><em>No operations defined.</em></p>';
   return `<section id="operations">
 <h2>Operations</h2>
@@ -250,31 +918,17 @@ ${content}
 }
 
 /**
- * Renders the bindings section.
+ * Renders the bindings section. SOAP bindings list the SOAPAction of each
+ * operation; HTTP bindings (WSDL 2.0 whttp:) its method and location.
+ * Transports and actions that are not given are left out rather than shown
+ * empty.
  *
  * @param {object[]} bindings
  * @returns {string}
  */
 function renderBindings(bindings) {
   const content = bindings.length
-    ? bindings
-        .map((b) => {
-          const rows = b.operations
-            .map(
-              (op) =>
-                `<tr><td>${esc(op.name)}</td><td><code>${esc(op.soapAction)}</code></td></tr>`,
-            )
-            .join('\n');
-          return `<details>
-<summary><strong>${esc(b.name)}</strong> <small>${esc(b.protocol)} · ${esc(b.style)}</small></summary>
-<p>Type: <code>${esc(b.type)}</code> · Transport: <code>${esc(b.transport)}</code></p>
-<table>
-<thead><tr><th>Operation</th><th>SOAPAction</th></tr></thead>
-<tbody>${rows}</tbody>
-</table>
-</details>`;
-        })
-        .join('\n')
+    ? bindings.map(renderBinding).join('\n')
     : '<p><em>No bindings defined.</em></p>';
   return `<section id="bindings">
 <h2>Bindings</h2>
@@ -282,6 +936,38 @@ ${content}
 </section>`;
 }
 
+/**
+ * @param {{ name, type, style, transport, protocol, operations }} b
+ * @returns {string}
+ */
+function renderBinding(b) {
+  const http = b.protocol === 'HTTP';
+  const code = (value) => (value ? `<code>${esc(value)}</code>` : '');
+  const head = http
+    ? '<th>Operation</th><th>Method</th><th>Location</th>'
+    : '<th>Operation</th><th>SOAPAction</th>';
+  const rows = b.operations
+    .map((op) =>
+      http
+        ? `<tr><td>${esc(op.name)}</td><td>${code(op.method)}</td><td>${code(op.location)}</td></tr>`
+        : `<tr><td>${esc(op.name)}</td><td>${code(op.soapAction)}</td></tr>`,
+    )
+    .join('\n');
+  const details = [
+    `Type: <code>${esc(b.type)}</code>`,
+    b.transport ? `Transport: <code>${esc(b.transport)}</code>` : '',
+  ].filter(Boolean);
+  const summary = http ? esc(b.protocol) : `${esc(b.protocol)} · ${esc(b.style)}`;
+  return `<details>
+<summary><strong>${esc(b.name)}</strong> <small>${summary}</small></summary>
+<p>${details.join(' · ')}</p>
+<table>
+<thead><tr>${head}</tr></thead>
+<tbody>${rows}</tbody>
+</table>
+</details>`;
+}
+
 /**
  * Renders the endpoints section as a table.
  *
@@ -310,12 +996,16 @@ ${content}
  * @param {object} [options]
  * @param {string} [options.title]     Override the page <title>.
  * @param {string} [options.inlineCss] Embed this CSS string instead of CDN link.
+ * @param {boolean} [options.sourceHints] Note where each type is defined.
  * @returns {string}          Full HTML5 document as a string.
  */
 export function renderHtml(model, options = {}) {
   const title = options.title ?? `${model.name} – WSDL Reference`;
   const date = new Date().toISOString().slice(0, 10);
   const index = buildIndex(model);
+  const types = [...model.types, ...(model.groups ?? [])];
+  const labels = namespaceLabels(types);
+  const messageLabels = namespaceLabels(model.messages);
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -327,9 +1017,9 @@ ${renderCss(options.inlineCss)}
 <body>
 ${renderHeader(model)}
 <main>
-${renderTypes(model.types)}
-${renderMessages(model.messages)}
-${renderOperations(model.operations, index)}
+${renderTypes(types, index, labels, options.sourceHints)}
+${renderMessages(model.messages, labels, messageLabels)}
+${renderOperations(model.operations, index, labels, messageLabels)}
 ${renderBindings(model.bindings)}
 ${renderEndpoints(model.endpoints)}
 </main>
@@ -7,7 +7,7 @@
  * resolve.js – builds name-keyed lookup indexes from a normalised model and
  * provides helpers to follow cross-section references.
  *
- * WSDL documents are full of indirect references by local name:
+ * WSDL documents are full of indirect references by qualified name:
  *   operation.input  → message name  → message object
  *   message.part     → element/type name → type object → fields
  *
@@ -16,24 +16,76 @@
  *
  * buildIndex(model) returns:
  *   {
- *     typeByName:    Map<string, typeObject>
- *     messageByName: Map<string, messageObject>
+ *     typeByName:     Map<string, typeObject>     – by bare local name
+ *     messageByName:  Map<string, messageObject>  – by bare local name
+ *     typeByQName:    Map<string, typeObject>     – complexType/simpleType by "{ns}local"
+ *     elementByQName: Map<string, typeObject>     – element-wrapped types by "{ns}local"
+ *     messageByQName: Map<string, messageObject>  – by "{ns}local"
+ *     declarationByQName: Map<string, elementObject> – every global element by "{ns}local"
+ *     groupByQName:   Map<string, groupObject>    – named model groups by "{ns}local"
+ *     substitutesByQName: Map<string, elementObject[]> – the global elements that
+ *                       name "{ns}local" as their substitutionGroup
  *   }
  *
- * resolveMessageFields(messageName, index) returns the flattened list of
- * { partName, typeName, fields, enumerations } for each part of the message,
- * following element= and type= references into the type index.
- * Returns an empty array when the message is not found.
+ * Qualified maps keep elements and types apart (XSD gives them separate symbol
+ * spaces) and let same-named declarations from different namespaces coexist.
+ * The local-name maps remain for callers that only have a bare name.
+ *
+ * resolveMessageFields(message, index) returns the flattened list of
+ * { partName, typeName, content, fields, attributes, enumerations } for each
+ * part of the message, following element= and type= references into the type
+ * index (through the element's own type= when it is declared with one). The
+ * message may be given as a bare name or as a { namespace, localName }
+ * reference. Returns an empty array when the message is not found. The fields
+ * and attributes of a derived type include those it inherits, base ones
+ * first; its content is then a sequence of the ancestors' content and its own,
+ * which is what an extension means in XSD.
+ *
+ * inheritedFields(type, index) follows a type's complexContent extensions up
+ * to the root of the chain and returns [{ type, content, fields, attributes }]
+ * for each ancestor, root first. A restriction restates its whole content but
+ * not its attributes, so ancestors beyond a restriction contribute only the
+ * attributes it does not restate – which drops those it prohibits – and no
+ * attribute wildcard; an ancestor with none of those left is not listed. The
+ * chain ends at a base that is not in the index (such as xs:anyType) and on a
+ * cycle.
+ *
+ * substitutionMembers(ref, index) lists the global elements that may appear in
+ * place of the element ref names: the members of its substitution group, and
+ * of theirs in turn, leaving out abstract ones.
+ *
+ * valueType(type, index) names the type of the text value of a type with
+ * simple content, following bases that have simple content themselves until
+ * it reaches a simpleType or a built-in type.
+ *
+ * refOf(item) gives the { namespace, localName } a model entry is declared
+ * under, the form every lookup above takes.
  */
 
+import { qnameKey } from './util.js';
+
 /**
  * @param {object} model  Output of buildModel().
- * @returns {{ typeByName: Map, messageByName: Map }}
+ * @returns {{ typeByName: Map, messageByName: Map, typeByQName: Map, elementByQName: Map, messageByQName: Map, declarationByQName: Map, groupByQName: Map, substitutesByQName: Map }}
  */
 export function buildIndex(model) {
+  const qualified = (items) => new Map(items.map((item) => [qnameKey(refOf(item)), item]));
+  const substitutesByQName = new Map();
+  for (const el of model.elements ?? []) {
+    if (!el.substitutionGroupRef) continue;
+    const head = qnameKey(el.substitutionGroupRef);
+    if (!substitutesByQName.has(head)) substitutesByQName.set(head, []);
+    substitutesByQName.get(head).push(el);
+  }
   return {
     typeByName: new Map(model.types.map((t) => [t.name, t])),
     messageByName: new Map(model.messages.map((m) => [m.name, m])),
+    typeByQName: qualified(model.types.filter((t) => t.kind !== 'element')),
+    elementByQName: qualified(model.types.filter((t) => t.kind === 'element')),
+    messageByQName: qualified(model.messages),
+    declarationByQName: qualified(model.elements ?? []),
+    groupByQName: qualified(model.groups ?? []),
+    substitutesByQName,
   };
 }
 
@@ -42,21 +94,163 @@ export function buildIndex(model) {
  * corresponding type object (preferring element= over type= reference).
  * Returns an empty array when the message name is unknown.
  *
- * @param {string} messageName
+ * @param {string|{ namespace: string, localName: string }} message
  * @param {{ typeByName: Map, messageByName: Map }} index
- * @returns {Array<{ partName: string, typeName: string, fields: Array, enumerations: Array }>}
- */
-export function resolveMessageFields(messageName, index) {
-  const message = index.messageByName.get(messageName);
-  if (!message) return [];
-  return message.parts.map((part) => {
-    const refName = part.element || part.type;
-    const type = index.typeByName.get(refName);
+ * @returns {Array<{ partName: string, typeName: string, content: object|null, fields: Array, attributes: Array, enumerations: Array }>}
+ */
+export function resolveMessageFields(message, index) {
+  const msg = lookup(message, index.messageByQName, index.messageByName);
+  if (!msg) return [];
+  return msg.parts.map((part) => {
+    const type = part.element
+      ? elementType(part.elementRef ?? part.element, index)
+      : lookup(part.typeRef ?? part.type, index.typeByQName, index.typeByName);
+    const inherited = type ? inheritedFields(type, index) : [];
     return {
       partName: part.name,
-      typeName: refName,
-      fields: type?.fields ?? [],
+      typeName: part.element || part.type,
+      content: type ? combinedContent([...inherited.map((g) => g.type), type]) : null,
+      fields: type ? [...inherited.flatMap((g) => g.fields), ...type.fields] : [],
+      attributes: type
+        ? [...inherited.flatMap((g) => g.attributes), ...(type.attributes ?? [])]
+        : [],
       enumerations: type?.enumerations ?? [],
     };
   });
 }
+
+/**
+ * @param {object} type   A type from the model.
+ * @param {{ typeByName: Map, typeByQName: Map }} index
+ * @returns {Array<{ type: object, content: object|null, fields: Array, attributes: Array }>}  Root ancestor first.
+ */
+export function inheritedFields(type, index) {
+  const groups = [];
+  const seen = new Set([type]);
+  const restated = new Set();
+  let restricted = false;
+  let current = type;
+  while (current.derivation === 'extension' || current.derivation === 'restriction') {
+    if (current.derivation === 'restriction') {
+      restricted = true;
+      for (const a of current.attributes ?? []) restated.add(a.name);
+    }
+    const base = lookup(current.baseRef ?? current.base, index.typeByQName, index.typeByName);
+    if (!base || seen.has(base)) break;
+    seen.add(base);
+    const attributes = (base.attributes ?? []).filter(
+      (a) => !restricted || (!a.wildcard && !restated.has(a.name)),
+    );
+    if (!restricted || attributes.length) {
+      groups.unshift({
+        type: base,
+        content: restricted ? null : (base.content ?? null),
+        fields: restricted ? [] : base.fields,
+        attributes,
+      });
+    }
+    current = base;
+  }
+  return groups;
+}
+
+/**
+ * @param {{ namespace: string, localName: string }} ref  The head element.
+ * @param {{ substitutesByQName: Map }} index
+ * @returns {Array<object>}  Element declarations, in breadth-first order.
+ */
+export function substitutionMembers(ref, index) {
+  const members = [];
+  const seen = new Set([qnameKey(ref)]);
+  const queue = [qnameKey(ref)];
+  while (queue.length) {
+    for (const el of index.substitutesByQName?.get(queue.shift()) ?? []) {
+      const key = qnameKey(refOf(el));
+      if (seen.has(key)) continue;
+      seen.add(key);
+      queue.push(key);
+      if (!el.abstract) members.push(el);
+    }
+  }
+  return members;
+}
+
+/**
+ * @param {{ base: string, baseRef: object|null, simpleContent?: object|null }} type
+ * @param {{ typeByName: Map, typeByQName: Map }} index
+ * @returns {{ name: string, ref: { namespace: string, localName: string }|null }}
+ */
+export function valueType(type, index) {
+  const seen = new Set([type]);
+  let current = type;
+  for (;;) {
+    const base = lookup(current.baseRef ?? current.base, index.typeByQName, index.typeByName);
+    if (!base?.simpleContent || seen.has(base)) return { name: current.base, ref: current.baseRef };
+    seen.add(base);
+    current = base;
+  }
+}
+
+/**
+ * The content of a chain of types, root first: the single content there is,
+ * or a sequence of all of them.
+ *
+ * @param {Array<{ content?: object|null }>} types
+ * @returns {object|null}
+ */
+function combinedContent(types) {
+  const contents = types.map((t) => t.content).filter(Boolean);
+  if (contents.length < 2) return contents[0] ?? null;
+  return {
+    compositor: 'sequence',
+    minOccurs: '1',
+    maxOccurs: '1',
+    items: contents,
+    group: null,
+    source: null,
+  };
+}
+
+/**
+ * Finds the type object describing a global element: its element-wrapped
+ * entry, or the type named by its type= attribute.
+ *
+ * @param {string|{ namespace: string, localName: string }} ref
+ * @param {object} index
+ * @returns {object|undefined}
+ */
+function elementType(ref, index) {
+  const wrapped = lookup(ref, index.elementByQName, index.typeByName);
+  if (wrapped) return wrapped;
+  const declaration = typeof ref === 'object' && index.declarationByQName?.get(qnameKey(ref));
+  if (declaration?.typeRef) {
+    return lookup(declaration.typeRef, index.typeByQName, index.typeByName);
+  }
+  // Without a declaration to go by, a global element commonly shares its name
+  // with its type, so fall back to the type index.
+  return lookup(ref, index.typeByQName, index.typeByName);
+}
+
+/**
+ * @param {string|{ namespace: string, localName: string }|null|undefined} ref
+ * @param {Map|undefined} byQName
+ * @param {Map} byName
+ * @returns {object|undefined}
+ */
+function lookup(ref, byQName, byName) {
+  if (!ref) return undefined;
+  if (typeof ref === 'string') return byName.get(ref);
+  if (byQName) return byQName.get(qnameKey(ref));
+  return byName.get(ref.localName);
+}
+
+/**
+ * Returns the qualified name a model entry is declared under. Entries built
+ * without namespace information fall back to the empty namespace.
+ *
+ * @param {{ name: string, namespace?: string }} item
+ * @returns {{ namespace: string, localName: string }}
+ */
+export function refOf(item) {
+  return { namespace: item.namespace ?? '', localName: item.name };
+}
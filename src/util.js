@@ -16,8 +16,44 @@
  * arr: wraps any value in an array if it is not already one, and returns []
  *   for null/undefined. Provides safe iteration over nodes that may be absent
  *   or singular even outside the isArray list.
+ *
+ * wsdlRoot: returns the root element of a parsed WSDL document – <definitions>
+ *   for WSDL 1.1 or <description> for WSDL 2.0.
+ *
+ * qname: resolves a prefixed attribute value against the namespace bindings
+ *   that parse.js recorded on the node (NS_SCOPE) and returns
+ *   { namespace, localName }, or null when the value is empty.
+ *
+ * qnameKey: turns such a reference into a "{namespace}localName" string usable
+ *   as a Map key.
+ *
+ * targetNamespace: returns the target namespace recorded on a node (TARGET_NS),
+ *   i.e. the namespace its top-level declarations belong to.
+ *
+ * hasScheme: true for locations of the form "scheme://…" (URLs of any scheme),
+ *   false for file paths, including Windows paths such as "C:\…".
+ *
+ * sourceOf: returns { file, line, column } for a node – the location of the
+ *   document it was read from, which load.js records (SOURCE_FILE), and the
+ *   position of its start tag, which parse.js records (SOURCE_POS). Parts that
+ *   are unknown are null; when both are, the result is null.
+ *
+ * formatSource: renders such a source as "file:line:column" for messages.
+ *
+ * documentElement: finds the start tag of the document element of an XML
+ *   string – the first one after the XML declaration, comments, processing
+ *   instructions and DOCTYPE – without parsing the document.
  */
 
+export const NS_SCOPE = Symbol('nsScope');
+export const TARGET_NS = Symbol('targetNamespace');
+export const SOURCE_FILE = Symbol('sourceFile');
+export const SOURCE_POS = Symbol('sourcePosition');
+export const XSD_NS = 'http://www.w3.org/2001/XMLSchema';
+
+const DOCUMENT_ELEMENT =
+  /^\uFEFF?(?:\s|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>)*<([\w.:-]+)/;
+
 /**
  * @param {string|null|undefined} value
  * @returns {string}
@@ -48,3 +84,80 @@ export function arr(value) {
   if (value == null) return [];
   return Array.isArray(value) ? value : [value];
 }
+
+/**
+ * @param {object} raw  Output of parseWsdl().
+ * @returns {object|undefined}
+ */
+export function wsdlRoot(raw) {
+  return raw?.['definitions'] ?? raw?.['description'];
+}
+
+/**
+ * @param {string|null|undefined} value  e.g. "tns:AddRequest"
+ * @param {object} [node]                Node the attribute was read from.
+ * @returns {{ namespace: string, localName: string }|null}
+ */
+export function qname(value, node) {
+  if (!value || typeof value !== 'string') return null;
+  const colon = value.indexOf(':');
+  const prefix = colon === -1 ? '' : value.slice(0, colon);
+  return { namespace: node?.[NS_SCOPE]?.[prefix] ?? '', localName: stripNs(value) };
+}
+
+/**
+ * @param {{ namespace: string, localName: string }|null|undefined} ref
+ * @returns {string}
+ */
+export function qnameKey(ref) {
+  if (!ref) return '';
+  return `{${ref.namespace}}${ref.localName}`;
+}
+
+/**
+ * @param {object|null|undefined} node
+ * @returns {string}
+ */
+export function targetNamespace(node) {
+  return node?.[TARGET_NS] ?? '';
+}
+
+/**
+ * @param {object|null|undefined} node
+ * @returns {{ file: string|null, line: number|null, column: number|null }|null}
+ */
+export function sourceOf(node) {
+  const file = node?.[SOURCE_FILE] ?? null;
+  const pos = node?.[SOURCE_POS];
+  if (!file && !pos) return null;
+  return { file, line: pos?.line ?? null, column: pos?.column ?? null };
+}
+
+/**
+ * @param {{ file?: string|null, line?: number|null, column?: number|null }|null|undefined} source
+ * @returns {string}  e.g. "shared.xsd:142:7", "line 142, column 7", or "".
+ */
+export function formatSource(source) {
+  if (!source) return '';
+  if (!source.line) return source.file ?? '';
+  if (!source.file) return `line ${source.line}, column ${source.column}`;
+  return `${source.file}:${source.line}:${source.column}`;
+}
+
+/**
+ * @param {string} loc
+ * @returns {boolean}
+ */
+export function hasScheme(loc) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(loc);
+}
+
+/**
+ * @param {string} xml
+ * @returns {{ name: string, offset: number }|null}  The qualified name of the
+ *   document element and the offset of its "<", or null when there is none.
+ */
+export function documentElement(xml) {
+  const match = DOCUMENT_ELEMENT.exec(xml);
+  return match ? { name: match[1], offset: match[0].length - match[1].length - 1 } : null;
+}
@@ -0,0 +1,90 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { join, dirname } from 'node:path';
+import { writeFileSync, unlinkSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+
+import { isArchiveLocation, readArchiveSource } from '../src/archive.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => join(__dirname, 'fixtures', name);
+
+describe('isArchiveLocation()', () => {
+  it('should accept .zip and .jar paths with or without an entry', () => {
+    assert.ok(isArchiveLocation('/srv/bundle.zip'));
+    assert.ok(isArchiveLocation('/srv/vendor.JAR!/META-INF/wsdl/Service.wsdl'));
+  });
+
+  it('should reject other paths', () => {
+    assert.ok(!isArchiveLocation('/srv/service.wsdl'));
+    assert.ok(!isArchiveLocation('/srv/bundle.zip.bak'));
+  });
+});
+
+describe('readArchiveSource()', () => {
+  describe('bundle.zip – one WSDL under META-INF/wsdl', () => {
+    it('should read a deflated entry', async () => {
+      const source = await readArchiveSource(
+        `${fixture('bundle.zip')}!/META-INF/wsdl/service.wsdl`,
+      );
+      assert.match(source.content, /<definitions/);
+      assert.equal(source.location, `${fixture('bundle.zip')}!/META-INF/wsdl/service.wsdl`);
+    });
+
+    it('should read a stored entry', async () => {
+      const source = await readArchiveSource(
+        `${fixture('bundle.zip')}!/META-INF/xsd/shared-types.xsd`,
+      );
+      assert.match(source.content, /PersonType/);
+    });
+
+    it('should detect the root WSDL when no entry is named', async () => {
+      const source = await readArchiveSource(fixture('bundle.zip'));
+      assert.equal(source.location, `${fixture('bundle.zip')}!/META-INF/wsdl/service.wsdl`);
+    });
+
+    it('should throw for a missing entry', async () => {
+      await assert.rejects(
+        () => readArchiveSource(`${fixture('bundle.zip')}!/missing.wsdl`),
+        /No entry "missing\.wsdl"/,
+      );
+    });
+  });
+
+  describe('two-services.zip – two WSDLs side by side', () => {
+    it('should refuse to guess the root WSDL and list the candidates', async () => {
+      await assert.rejects(
+        () => readArchiveSource(fixture('two-services.zip')),
+        /Several WSDL documents .*\(calculator\.wsdl, hello\.wsdl\)/,
+      );
+    });
+
+    it('should read the entry that is named', async () => {
+      const source = await readArchiveSource(`${fixture('two-services.zip')}!/hello.wsdl`);
+      assert.match(source.content, /name="Hello"/);
+    });
+  });
+
+  describe('calculator.jar – a WSDL next to a Maven pom.xml', () => {
+    it('should only take entries whose root element is a WSDL one', async () => {
+      const source = await readArchiveSource(fixture('calculator.jar'));
+      assert.equal(source.location, `${fixture('calculator.jar')}!/META-INF/wsdl/calculator.wsdl`);
+    });
+  });
+
+  it('should throw for a file that is not a ZIP archive', async () => {
+    const notZip = join(tmpdir(), `cwsdl-not-a-zip-${Date.now()}.zip`);
+    try {
+      writeFileSync(notZip, '<definitions/>', 'utf8');
+      await assert.rejects(() => readArchiveSource(notZip), /Not a ZIP archive/);
+    } finally {
+      if (existsSync(notZip)) unlinkSync(notZip);
+    }
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createServer } from 'node:http';
+
+import { fetchCached } from '../src/cache.js';
+import { createResolver } from '../src/load.js';
+
+describe('fetchCached()', () => {
+  const requests = [];
+  let version = 1;
+  const body = () => `<schema v="${version}"/>`;
+  let server;
+  let origin;
+  let cacheDir;
+
+  before(async () => {
+    server = createServer((req, res) => {
+      requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+      const etag = `"v${version}"`;
+      if (req.url === '/plain.xsd') {
+        res.writeHead(200).end(body());
+      } else if (req.url !== '/types.xsd') {
+        res.writeHead(404).end();
+      } else if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304).end();
+      } else {
+        res.writeHead(200, { ETag: etag }).end(body());
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+    cacheDir = mkdtempSync(join(tmpdir(), 'cwsdl-cache-'));
+  });
+
+  after(async () => {
+    rmSync(cacheDir, { recursive: true, force: true });
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('should download and cache a response that has an ETag', async () => {
+    assert.equal(await fetchCached(`${origin}/types.xsd`, cacheDir), '<schema v="1"/>');
+    assert.equal(readdirSync(cacheDir).length, 1);
+  });
+
+  it('should revalidate with If-None-Match and reuse the cached body on 304', async () => {
+    requests.length = 0;
+    assert.equal(await fetchCached(`${origin}/types.xsd`, cacheDir), '<schema v="1"/>');
+    assert.deepEqual(requests, [{ url: '/types.xsd', ifNoneMatch: '"v1"' }]);
+  });
+
+  it('should replace the cached body when the document changed', async () => {
+    version = 2;
+    assert.equal(await fetchCached(`${origin}/types.xsd`, cacheDir), '<schema v="2"/>');
+    assert.equal(await fetchCached(`${origin}/types.xsd`, cacheDir), '<schema v="2"/>');
+  });
+
+  it('should treat a corrupt cache file as a miss and rewrite it', async () => {
+    const [entry] = readdirSync(cacheDir);
+    writeFileSync(join(cacheDir, entry), '{"url":');
+    requests.length = 0;
+    assert.equal(await fetchCached(`${origin}/types.xsd`, cacheDir), '<schema v="2"/>');
+    assert.deepEqual(requests, [{ url: '/types.xsd', ifNoneMatch: undefined }]);
+    assert.deepEqual(readdirSync(cacheDir), [entry]);
+    assert.equal(JSON.parse(readFileSync(join(cacheDir, entry), 'utf8')).etag, '"v2"');
+  });
+
+  it('should treat a cache file without a body as a miss', async () => {
+    const [entry] = readdirSync(cacheDir);
+    writeFileSync(join(cacheDir, entry), JSON.stringify({ etag: '"v2"' }));
+    requests.length = 0;
+    assert.equal(await fetchCached(`${origin}/types.xsd`, cacheDir), '<schema v="2"/>');
+    assert.deepEqual(requests, [{ url: '/types.xsd', ifNoneMatch: undefined }]);
+  });
+
+  it('should not cache a response without a validator', async () => {
+    await fetchCached(`${origin}/plain.xsd`, cacheDir);
+    assert.equal(readdirSync(cacheDir).length, 1);
+  });
+
+  it('should throw on an error status', async () => {
+    await assert.rejects(() => fetchCached(`${origin}/missing.xsd`, cacheDir), /HTTP 404/);
+  });
+
+  it('should be used by createResolver() for http(s) locations', async () => {
+    requests.length = 0;
+    const resolver = createResolver({ cacheDir });
+    const source = await resolver('types.xsd', `${origin}/service.wsdl`);
+    assert.deepEqual(source, { content: body(), location: `${origin}/types.xsd` });
+    assert.deepEqual(requests, [{ url: '/types.xsd', ifNoneMatch: '"v2"' }]);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { join, dirname } from 'node:path';
+
+import { loadCatalog, parseCatalog } from '../src/catalog.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, 'fixtures');
+
+describe('parseCatalog()', () => {
+  describe('OASIS XML catalog', () => {
+    const catalog = parseCatalog(
+      `<catalog xmlns="urn:oasis:names:tc:entity:xmlns:xml:catalog">
+        <uri name="http://example.com/ns" uri="ns.xsd"/>
+        <system systemId="http://example.com/a.xsd" uri="/abs/a.xsd"/>
+        <public publicId="urn:example:b" uri="b.xsd"/>
+        <rewriteURI uriStartString="http://example.com/" rewritePrefix="mirror/"/>
+        <rewriteSystem systemIdStartString="http://example.com/deep/" rewritePrefix="deep/"/>
+        <group xml:base="vendor/">
+          <uri name="http://vendor.example.com/ns" uri="v.xsd"/>
+        </group>
+      </catalog>`,
+      '/catalogs',
+    );
+
+    it('should resolve <uri> entries relative to the catalog directory', () => {
+      assert.equal(catalog.resolve('http://example.com/ns'), '/catalogs/ns.xsd');
+    });
+
+    it('should resolve <system> and <public> entries', () => {
+      assert.equal(catalog.resolve('http://example.com/a.xsd'), '/abs/a.xsd');
+      assert.equal(catalog.resolve('urn:example:b'), '/catalogs/b.xsd');
+    });
+
+    it('should apply rewrite rules as prefix replacements', () => {
+      assert.equal(catalog.resolve('http://example.com/x/y.xsd'), '/catalogs/mirror/x/y.xsd');
+    });
+
+    it('should prefer the rewrite rule with the longest start string', () => {
+      assert.equal(catalog.resolve('http://example.com/deep/z.xsd'), '/catalogs/deep/z.xsd');
+    });
+
+    it('should honour xml:base on <group>', () => {
+      assert.equal(catalog.resolve('http://vendor.example.com/ns'), '/catalogs/vendor/v.xsd');
+    });
+
+    it('should return null for unmapped or empty URIs', () => {
+      assert.equal(catalog.resolve('http://elsewhere.example.com/'), null);
+      assert.equal(catalog.resolve(undefined), null);
+    });
+
+    it('should map a namespace through <uri> and <public> entries only', () => {
+      assert.equal(catalog.resolveNamespace('http://example.com/ns'), '/catalogs/ns.xsd');
+      assert.equal(catalog.resolveNamespace('urn:example:b'), '/catalogs/b.xsd');
+      assert.equal(catalog.resolveNamespace('http://example.com/a.xsd'), null);
+      assert.equal(catalog.resolveNamespace('http://example.com/x'), null);
+      assert.equal(catalog.resolveNamespace(undefined), null);
+    });
+  });
+
+  describe('JSON mapping', () => {
+    const catalog = parseCatalog(
+      JSON.stringify({
+        uri: { 'http://example.com/ns': './ns.xsd' },
+        rewrite: { 'https://example.com/schemas/': 'local/' },
+      }),
+      '/catalogs',
+    );
+
+    it('should resolve exact uri entries', () => {
+      assert.equal(catalog.resolve('http://example.com/ns'), '/catalogs/ns.xsd');
+    });
+
+    it('should map a namespace through the uri entries but not the rewrites', () => {
+      assert.equal(catalog.resolveNamespace('http://example.com/ns'), '/catalogs/ns.xsd');
+      assert.equal(catalog.resolveNamespace('https://example.com/schemas/ns'), null);
+    });
+
+    it('should apply rewrite prefixes', () => {
+      assert.equal(
+        catalog.resolve('https://example.com/schemas/a/b.xsd'),
+        '/catalogs/local/a/b.xsd',
+      );
+    });
+  });
+
+  it('should throw on a document that is not a catalog', () => {
+    assert.throws(() => parseCatalog('<definitions/>', '/'), /Not a valid catalog/);
+  });
+});
+
+describe('loadCatalog()', () => {
+  it('should read an XML catalog file and resolve against its directory', async () => {
+    const catalog = await loadCatalog(join(fixturesDir, 'catalog.xml'));
+    assert.equal(
+      catalog.resolve('https://schemas.invalid/common/shared-types.xsd'),
+      join(fixturesDir, 'shared-types.xsd'),
+    );
+  });
+
+  it('should read a JSON catalog file', async () => {
+    const catalog = await loadCatalog(join(fixturesDir, 'catalog.json'));
+    assert.equal(
+      catalog.resolve('http://vendor-a.example.com/address'),
+      join(fixturesDir, 'vendor-a.xsd'),
+    );
+  });
+});
@@ -3,7 +3,7 @@
  * SPDX-License-Identifier: MIT
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
 import { execFile, spawn } from 'node:child_process';
 import { promisify } from 'node:util';
@@ -11,6 +11,7 @@ import { fileURLToPath } from 'node:url';
 import { join, dirname } from 'node:path';
 import { readFileSync, writeFileSync, unlinkSync, existsSync } from 'node:fs';
 import { tmpdir } from 'node:os';
+import { createServer } from 'node:http';
 
 const execFileAsync = promisify(execFile);
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -123,6 +124,183 @@ describe('CLI', () => {
     });
   });
 
+  describe('--catalog option', () => {
+    it('should resolve imports through the catalog instead of the network', async () => {
+      const { code, stdout } = await run([
+        fixture('offline.wsdl'),
+        '--catalog',
+        fixture('catalog.xml'),
+      ]);
+      assert.equal(code, 0);
+      assert.ok(stdout.includes('PersonType'));
+      assert.ok(stdout.includes('Address'));
+    });
+  });
+
+  describe('--concurrency option', () => {
+    it('should load imports with the given limit', async () => {
+      const { code, stdout } = await run([fixture('imported.wsdl'), '--concurrency', '1']);
+      assert.equal(code, 0);
+      assert.ok(stdout.includes('PersonType'));
+    });
+
+    it('should reject a value that is not a positive integer', async () => {
+      const { code, stderr } = await run([fixture('calculator.wsdl'), '--concurrency', '0']);
+      assert.equal(code, 1);
+      assert.match(stderr, /positive integer/);
+    });
+  });
+
+  describe('--format option', () => {
+    it('should write the model as JSON with --format json', async () => {
+      const { code, stdout } = await run([fixture('calculator.wsdl'), '--format', 'json']);
+      assert.equal(code, 0);
+      const doc = JSON.parse(stdout);
+      assert.equal(doc.formatVersion, 1);
+      assert.equal(doc.name, 'Calculator');
+    });
+
+    it('should reject an unknown format', async () => {
+      const { code, stderr } = await run([fixture('calculator.wsdl'), '--format', 'xml']);
+      assert.equal(code, 1);
+      assert.match(stderr, /Expected one of html, json/);
+    });
+  });
+
+  describe('--source-hints option', () => {
+    it('should note the file and line each type is defined at', async () => {
+      const { code, stdout } = await run([fixture('calculator.wsdl'), '--source-hints']);
+      assert.equal(code, 0);
+      assert.ok(stdout.includes('Defined in <code>calculator.wsdl:24</code>'));
+    });
+  });
+
+  describe('unresolved references', () => {
+    it('should print a warning per dangling reference and still exit with code 0', async () => {
+      const { code, stdout, stderr } = await run([fixture('dangling.wsdl')]);
+      assert.equal(code, 0);
+      assert.ok(stdout.startsWith('<!DOCTYPE html>'));
+      const warnings = stderr.split('\n').filter((line) => line.startsWith('warning:'));
+      assert.equal(warnings.length, 8);
+      assert.ok(
+        warnings.some((w) => w.includes('dangling-types.xsd:20:7: ') && w.includes('"balance"')),
+      );
+    });
+
+    it('should exit with code 1 and write no HTML with --strict', async () => {
+      const { code, stdout, stderr } = await run([fixture('dangling.wsdl'), '--strict']);
+      assert.equal(code, 1);
+      assert.equal(stdout, '');
+      assert.match(stderr, /8 unresolved references/);
+    });
+
+    it('should exit with code 0 with --strict when every reference resolves', async () => {
+      const { code, stderr } = await run([fixture('calculator.wsdl'), '--strict']);
+      assert.equal(code, 0);
+      assert.equal(stderr, '');
+    });
+  });
+
+  describe('--import-graph option', () => {
+    it('should write the import graph in the format given by the extension', async () => {
+      const graphFile = join(tmpdir(), `cwsdl-graph-${Date.now()}.json`);
+      try {
+        const { code } = await run([fixture('graph.wsdl'), '--import-graph', graphFile]);
+        assert.equal(code, 0);
+        const graph = JSON.parse(readFileSync(graphFile, 'utf8'));
+        assert.equal(graph.nodes[0].location, fixture('graph.wsdl'));
+        assert.ok(graph.edges.some((e) => e.status === 'cycle'));
+      } finally {
+        if (existsSync(graphFile)) unlinkSync(graphFile);
+      }
+    });
+
+    it('should exit with an error for an unknown extension', async () => {
+      const { code, stderr } = await run([fixture('graph.wsdl'), '--import-graph', 'graph.txt']);
+      assert.equal(code, 1);
+      assert.match(stderr, /import graph format/);
+    });
+  });
+
+  describe('URL input', () => {
+    // Serves svc.wsdl the way WCF publishes metadata: the WSDL at ?wsdl, its
+    // schema at ?xsd=1, and a further schema one directory up.
+    const routes = {
+      '/svc/Service.svc?wsdl': 'svc.wsdl',
+      '/svc/Service.svc?xsd=1': 'svc-xsd1.xsd',
+      '/common/shared-types.xsd': 'shared-types.xsd',
+    };
+    const requested = [];
+    let server;
+    let origin;
+
+    before(async () => {
+      server = createServer((req, res) => {
+        requested.push(req.url);
+        const name = routes[req.url];
+        res.writeHead(name ? 200 : 404, { 'Content-Type': 'text/xml' });
+        res.end(name ? readFileSync(fixture(name)) : '');
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      origin = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it('should fetch a ?wsdl URL and resolve its imports against that URL', async () => {
+      requested.length = 0;
+      const { code, stdout, stderr } = await run([`${origin}/svc/Service.svc?wsdl`]);
+      assert.equal(code, 0, stderr);
+      assert.ok(stdout.includes('PersonDirectory'));
+      assert.ok(stdout.includes('PersonType'));
+      assert.deepEqual(requested, Object.keys(routes));
+    });
+
+    it('should resolve relative imports of stdin input against --base-url', async () => {
+      const child = spawn(
+        process.execPath,
+        [cli, '-', '--base-url', `${origin}/svc/Service.svc?wsdl`],
+        { stdio: 'pipe' },
+      );
+      child.stdin.end(readFileSync(fixture('svc.wsdl')));
+      const stdout = await new Promise((resolve, reject) => {
+        const chunks = [];
+        child.stdout.on('data', (c) => chunks.push(c));
+        child.stdout.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        child.on('error', reject);
+      });
+      const code = await new Promise((resolve) => child.on('close', resolve));
+      assert.equal(code, 0);
+      assert.ok(stdout.includes('PersonType'));
+    });
+
+    it('should exit with an error when the URL cannot be fetched', async () => {
+      const { code, stderr } = await run([`${origin}/missing?wsdl`]);
+      assert.equal(code, 1);
+      assert.match(stderr, /HTTP 404/);
+    });
+
+    it('should reject a --base-url that is not an absolute URL', async () => {
+      const { code, stderr } = await run([fixture('svc.wsdl'), '--base-url', 'svc/']);
+      assert.equal(code, 1);
+      assert.match(stderr, /--base-url must be an absolute URL/);
+    });
+  });
+
+  describe('archive input', () => {
+    it('should render the root WSDL of a ZIP archive', async () => {
+      const { code, stdout } = await run([fixture('bundle.zip')]);
+      assert.equal(code, 0);
+      assert.ok(stdout.includes('PersonType'));
+    });
+
+    it('should render a named archive entry', async () => {
+      const { code, stdout } = await run([`${fixture('two-services.zip')}!/calculator.wsdl`]);
+      assert.equal(code, 0);
+      assert.ok(stdout.includes('Calculator'));
+    });
+  });
+
   describe('--help and --version', () => {
     it('should print help and exit with code 0 when --help is passed', async () => {
       const { code, stdout } = await run(['--help']);
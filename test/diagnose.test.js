@@ -0,0 +1,270 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join, dirname } from 'node:path';
+
+import { parseWsdl } from '../src/parse.js';
+import { loadWsdl } from '../src/load.js';
+import { buildModel } from '../src/model.js';
+import { diagnose } from '../src/diagnose.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, 'fixtures');
+const fixture = (name) => readFileSync(join(fixturesDir, name), 'utf8');
+
+describe('diagnose()', () => {
+  describe('well-formed contracts', () => {
+    for (const name of [
+      'calculator.wsdl',
+      'hello.wsdl',
+      'weather20.wsdl',
+      'interface-extends.wsdl',
+      'unicode.wsdl',
+      'inheritance.wsdl',
+      'nested.wsdl',
+      'compositors.wsdl',
+      'groups.wsdl',
+      'simple-types.wsdl',
+      'simple-content.wsdl',
+      'substitution.wsdl',
+      'wildcards.wsdl',
+      'transmission.wsdl',
+      'refs.wsdl',
+    ]) {
+      it(`should report nothing for ${name}`, () => {
+        assert.deepEqual(diagnose(buildModel(parseWsdl(fixture(name)))), []);
+      });
+    }
+
+    it('should resolve references into imported schemas', async () => {
+      const raw = await loadWsdl(fixture('imported.wsdl'), { baseDir: fixturesDir });
+      assert.deepEqual(diagnose(buildModel(raw)), []);
+    });
+  });
+
+  describe('dangling.wsdl – one broken reference of every kind', async () => {
+    const location = join(fixturesDir, 'dangling.wsdl');
+    const diagnostics = diagnose(
+      buildModel(await loadWsdl(fixture('dangling.wsdl'), { location })),
+    );
+    const ofKind = (kind) => diagnostics.filter((d) => d.kind === kind);
+
+    it('should report an operation referring to a missing message', () => {
+      const [d] = ofKind('operation-message');
+      assert.match(
+        d.message,
+        /"CloseAccount" output .*\{http:\/\/example\.com\/dangling\}CloseAccountOut/,
+      );
+    });
+
+    it('should report message parts referring to a missing element and type', () => {
+      assert.match(
+        ofKind('part-element')[0].message,
+        /part "parameters" .* element .*CloseAccount$/,
+      );
+      assert.match(ofKind('part-type')[0].message, /part "reason" .* type .*Reason$/);
+    });
+
+    it('should report a global element declared with a missing type', () => {
+      assert.match(ofKind('element-type')[0].message, /"AuditRecord" .*Audit$/);
+    });
+
+    it('should report fields whose type is missing', () => {
+      assert.deepEqual(
+        ofKind('field-type').map((d) => d.message.match(/Field "(\w+)"/)[1]),
+        ['options', 'balance'],
+      );
+    });
+
+    it('should report a type derived from a missing base type', () => {
+      const [d] = ofKind('type-base');
+      assert.match(d.message, /"SavingsAccount" extends unknown type .*BaseAccount$/);
+      assert.equal(d.source.file, join(fixturesDir, 'dangling-types.xsd'));
+    });
+
+    it('should report a binding referring to a missing portType', () => {
+      assert.match(ofKind('binding-portType')[0].message, /AccountPortTyp$/);
+    });
+
+    it('should name the file and position each broken reference came from', () => {
+      const balance = ofKind('field-type').find((d) => d.message.includes('"balance"'));
+      assert.deepEqual(balance.source, {
+        file: join(fixturesDir, 'dangling-types.xsd'),
+        line: 20,
+        column: 7,
+      });
+      assert.deepEqual(ofKind('binding-portType')[0].source, {
+        file: location,
+        line: 62,
+        column: 3,
+      });
+    });
+
+    it('should not report built-in XSD types or references that resolve', () => {
+      assert.equal(diagnostics.length, 8);
+      assert.ok(diagnostics.every((d) => !d.message.includes('XMLSchema')));
+    });
+  });
+
+  describe('attributes', () => {
+    it('should report an attribute whose type is missing', () => {
+      const xml = fixture('attributes.wsdl').replace(
+        '<xs:attribute name="status" type="xs:string"',
+        '<xs:attribute name="status" type="tns:Status"',
+      );
+      const diagnostics = diagnose(buildModel(parseWsdl(xml)));
+      assert.deepEqual(
+        diagnostics.map((d) => d.kind),
+        ['field-type'],
+      );
+      assert.match(diagnostics[0].message, /^Field "@status" of "Order" .*\}Status$/);
+    });
+  });
+
+  describe('element references', () => {
+    it('should report a field referring to a missing global element', () => {
+      const xml = fixture('refs.wsdl').replace(
+        '<xs:element ref="tns:customer"/>',
+        '<xs:element ref="tns:client"/>',
+      );
+      const diagnostics = diagnose(buildModel(parseWsdl(xml)));
+      assert.deepEqual(
+        diagnostics.map((d) => d.kind),
+        ['field-ref'],
+      );
+      assert.match(diagnostics[0].message, /^Field "client" of "register" .*element .*\}client$/);
+    });
+  });
+
+  describe('model groups', () => {
+    it('should report a reference to a missing group', () => {
+      const xml = fixture('groups.wsdl').replace(
+        '<xs:group ref="tns:ContactChoice" minOccurs="0"/>',
+        '<xs:group ref="tns:Contact" minOccurs="0"/>',
+      );
+      const diagnostics = diagnose(buildModel(parseWsdl(xml)));
+      assert.deepEqual(
+        diagnostics.map((d) => [d.kind, d.source.line]),
+        [['group-ref', 62]],
+      );
+      assert.match(
+        diagnostics[0].message,
+        /^Type "PlaceOrder" refers to unknown group .*\}Contact$/,
+      );
+    });
+
+    it('should report a field of a group that no type uses', () => {
+      const xml = fixture('groups.wsdl').replace(
+        '<xs:element name="PlaceOrder">',
+        '<xs:group name="Unused"><xs:sequence>' +
+          '<xs:element name="reference" type="tns:Reference"/>' +
+          '</xs:sequence></xs:group>\n<xs:element name="PlaceOrder">',
+      );
+      const diagnostics = diagnose(buildModel(parseWsdl(xml)));
+      assert.deepEqual(
+        diagnostics.map((d) => d.kind),
+        ['field-type'],
+      );
+      assert.match(
+        diagnostics[0].message,
+        /^Field "reference" of group "Unused" refers to unknown type .*\}Reference$/,
+      );
+    });
+
+    it('should report a field of a used group under the types that use it only', () => {
+      const xml = fixture('groups.wsdl').replace(
+        '<xs:element name="createdBy" type="xs:string"/>',
+        '<xs:element name="createdBy" type="tns:User"/>',
+      );
+      const diagnostics = diagnose(buildModel(parseWsdl(xml)));
+      assert.deepEqual(
+        diagnostics.map((d) => d.message.match(/of (.*?) refers/)[1]),
+        ['"PlaceOrder"', '"Shipment"'],
+      );
+    });
+  });
+
+  describe('simpleTypes', () => {
+    it('should report a missing restriction base, list item type and union member', () => {
+      const xml = fixture('simple-types.wsdl')
+        .replace('base="tns:Amount"', 'base="tns:Money"')
+        .replace('itemType="tns:Currency"', 'itemType="tns:Currencies"')
+        .replace(
+          'memberTypes="xs:positiveInteger tns:Unlimited"',
+          'memberTypes="xs:positiveInteger tns:Infinite"',
+        );
+      const diagnostics = diagnose(buildModel(parseWsdl(xml)));
+      assert.deepEqual(
+        diagnostics.map((d) => [d.kind, d.message.replace(/\{[^}]*\}/, '')]),
+        [
+          ['type-base', 'Type "Percentage" restricts unknown type Money'],
+          ['type-member', 'Type "CurrencyList" list item refers to unknown type Currencies'],
+          ['type-member', 'Type "Quantity" union member refers to unknown type Infinite'],
+        ],
+      );
+    });
+  });
+
+  describe('WSDL 2.0', () => {
+    it('should call the missing target of a binding an interface', () => {
+      const xml = fixture('interface-extends.wsdl').replace(
+        'interface="tns:StationInterface"\n',
+        'interface="tns:StationIface"\n',
+      );
+      const diagnostics = diagnose(buildModel(parseWsdl(xml)));
+      assert.deepEqual(
+        diagnostics.map((d) => d.kind),
+        ['binding-portType'],
+      );
+      assert.match(
+        diagnostics[0].message,
+        /^Binding "StationHTTPBinding" refers to unknown interface .*\}StationIface$/,
+      );
+    });
+  });
+
+  describe('substitution groups', () => {
+    it('should report an element substituting for a missing element', () => {
+      const xml = fixture('substitution.wsdl').replace(
+        'substitutionGroup="tns:transfer"',
+        'substitutionGroup="tns:payment"',
+      );
+      const diagnostics = diagnose(buildModel(parseWsdl(xml)));
+      assert.deepEqual(
+        diagnostics.map((d) => d.kind),
+        ['element-substitution'],
+      );
+      assert.match(
+        diagnostics[0].message,
+        /^Element "sepaTransfer" substitutes for unknown element .*\}payment$/,
+      );
+    });
+  });
+
+  describe('nested anonymous types', () => {
+    it('should report a missing type inside an anonymous field type by its path', () => {
+      const xml = fixture('nested.wsdl').replace(
+        '<xs:element name="street" type="xs:string"/>',
+        '<xs:element name="street" type="tns:Street"/>',
+      );
+      const [d, ...rest] = diagnose(buildModel(parseWsdl(xml)));
+      assert.equal(rest.length, 0);
+      assert.equal(d.kind, 'field-type');
+      assert.match(d.message, /^Field "customer\/address\/street" of "PlaceOrder" /);
+    });
+  });
+
+  describe('without a known location', () => {
+    it('should report positions without a file', () => {
+      const diagnostics = diagnose(buildModel(parseWsdl(fixture('dangling.wsdl'))));
+      assert.ok(diagnostics.length > 0);
+      assert.ok(diagnostics.every((d) => d.source.file === null && d.source.line > 0));
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join, dirname } from 'node:path';
+
+import { loadWsdl } from '../src/load.js';
+import { createGraph, formatGraph, toDot, toMermaid, toJson, ROOT_LOCATION } from '../src/graph.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixturesDir = join(__dirname, 'fixtures');
+const fixture = (name) => readFileSync(join(fixturesDir, name), 'utf8');
+
+const loadGraph = async (name, options = { location: join(fixturesDir, name) }) => {
+  const graph = createGraph();
+  await loadWsdl(fixture(name), { ...options, graph });
+  return graph;
+};
+
+describe('import graph', () => {
+  describe('graph.wsdl – loaded, cycle, repeat and unresolved edges', async () => {
+    const graph = await loadGraph('graph.wsdl');
+    const at = (name) => join(fixturesDir, name);
+    const edge = (from, to, status) =>
+      graph.edges.find(
+        (e) => e.from === at(from) && e.to === (to && at(to)) && e.status === status,
+      );
+
+    it('should have one node per loaded document', () => {
+      assert.deepEqual(
+        graph.nodes.map((n) => [n.location, n.kind]),
+        [
+          [at('graph.wsdl'), 'wsdl'],
+          [at('cycle-a.xsd'), 'xsd'],
+          [at('cycle-b.xsd'), 'xsd'],
+          [at('shared-types.xsd'), 'xsd'],
+        ],
+      );
+    });
+
+    it('should record the target namespace and own declaration counts of a node', () => {
+      const b = graph.nodes.find((n) => n.location === at('cycle-b.xsd'));
+      assert.equal(b.targetNamespace, 'http://example.com/cycle');
+      assert.deepEqual(b.declarations, { element: 1, simpleType: 1 });
+      const root = graph.nodes[0];
+      assert.deepEqual(root.declarations, { message: 1 });
+    });
+
+    it('should record loaded imports and includes', () => {
+      assert.equal(edge('graph.wsdl', 'cycle-a.xsd', 'loaded').kind, 'import');
+      assert.equal(edge('cycle-a.xsd', 'cycle-b.xsd', 'loaded').kind, 'include');
+    });
+
+    it('should mark an include back to an ancestor as a cycle', () => {
+      assert.ok(edge('cycle-b.xsd', 'cycle-a.xsd', 'cycle'));
+    });
+
+    it('should mark a second import of a loaded schema as a repeat', () => {
+      assert.ok(edge('graph.wsdl', 'shared-types.xsd', 'loaded'));
+      assert.ok(edge('graph.wsdl', 'shared-types.xsd', 'repeat'));
+    });
+
+    it('should mark a namespace-only import without a catalog entry as unresolved', () => {
+      const unresolved = edge('graph.wsdl', null, 'unresolved');
+      assert.equal(unresolved.namespace, 'urn:example:elsewhere');
+    });
+
+    it('should render Graphviz DOT with the cycle in red', () => {
+      const dot = toDot(graph);
+      assert.ok(dot.startsWith('digraph imports {'));
+      assert.match(
+        dot,
+        /n0 \[label="graph\.wsdl\\nwsdl · http:\/\/example\.com\/graph\\n1 message"/,
+      );
+      assert.match(dot, /n2 -> n1 \[label="include \(cycle\)", style=dashed, color=red/);
+      assert.match(dot, /u0 \[label="urn:example:elsewhere\\n\(not loaded\)", style=dashed\]/);
+    });
+
+    it('should render a Mermaid flowchart with dotted skipped edges', () => {
+      const mermaid = toMermaid(graph);
+      assert.ok(mermaid.startsWith('graph LR\n'));
+      assert.ok(mermaid.includes('n0 -->|"import"| n1'));
+      assert.ok(mermaid.includes('n0 -.->|"import (repeat)"| n3'));
+      assert.ok(mermaid.includes('linkStyle 2 stroke:red'));
+    });
+
+    it('should render the graph unchanged as JSON', () => {
+      assert.deepEqual(JSON.parse(toJson(graph)), graph);
+    });
+  });
+
+  describe('root without a location', () => {
+    it('should name the root node ROOT_LOCATION', async () => {
+      const graph = await loadGraph('imported.wsdl', { baseDir: fixturesDir });
+      assert.equal(graph.nodes[0].location, ROOT_LOCATION);
+      assert.equal(graph.edges[0].from, ROOT_LOCATION);
+    });
+  });
+
+  describe('toDot()', () => {
+    it('should escape backslashes and quotes in labels', () => {
+      const graph = createGraph();
+      graph.nodes.push({
+        location: 'C:\\schemas\\types.xsd',
+        kind: 'xsd',
+        targetNamespace: 'urn:"quoted"',
+        declarations: {},
+      });
+      assert.ok(
+        toDot(graph).includes(
+          String.raw`n0 [label="types.xsd\nxsd · urn:\"quoted\"", tooltip="C:\\schemas\\types.xsd"]`,
+        ),
+      );
+    });
+  });
+
+  describe('formatGraph()', () => {
+    it('should throw on an unknown format', () => {
+      assert.throws(() => formatGraph(createGraph(), 'svg'), /Unknown graph format "svg"/);
+    });
+  });
+});
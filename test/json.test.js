@@ -0,0 +1,151 @@
+/**
+ * SPDX-FileCopyrightText: Copyright (c) 2026 Sergei Mukhin
+ * SPDX-License-Identifier: MIT
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join, dirname, relative } from 'node:path';
+
+import { parseWsdl } from '../src/parse.js';
+import { loadWsdl } from '../src/load.js';
+import { buildModel } from '../src/model.js';
+import { exportModel, renderJson, FORMAT_VERSION, SCHEMA_ID } from '../src/json.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const model = (name) =>
+  buildModel(parseWsdl(readFileSync(join(__dirname, 'fixtures', name), 'utf8')));
+const schema = JSON.parse(
+  readFileSync(join(__dirname, '..', 'schema', 'model-v1.schema.json'), 'utf8'),
+);
+
+/**
+ * Checks value against the subset of JSON Schema the published schema uses
+ * ($ref, anyOf, type, const, enum, properties, required and items) and lists
+ * the paths that fail. The schema allows properties it does not list, but
+ * should still describe every one the export writes, so those are reported
+ * too.
+ *
+ * @param {unknown} value
+ * @param {object} node  A schema or subschema.
+ * @param {string} [path]
+ * @returns {string[]}
+ */
+function violations(value, node, path = '$') {
+  if (node.$ref) return violations(value, schema.$defs[node.$ref.slice('#/$defs/'.length)], path);
+  if (node.anyOf) {
+    const failures = node.anyOf.map((option) => violations(value, option, path));
+    return failures.some((f) => !f.length) ? [] : failures.flat();
+  }
+  const errors = [];
+  if (node.type) {
+    const types = [node.type].flat();
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    const ok = types.some((t) => t === actual || (t === 'integer' && Number.isInteger(value)));
+    if (!ok) return [`${path}: expected ${types.join('|')}, got ${actual}`];
+  }
+  if ('const' in node && value !== node.const) errors.push(`${path}: expected ${node.const}`);
+  if (node.enum && !node.enum.includes(value)) errors.push(`${path}: ${value} not in enum`);
+  if (node.properties) {
+    for (const key of node.required ?? []) {
+      if (!(key in value)) errors.push(`${path}: missing ${key}`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (node.properties[key])
+        errors.push(...violations(v, node.properties[key], `${path}.${key}`));
+      else errors.push(`${path}: undescribed ${key}`);
+    }
+  }
+  if (node.items)
+    value.forEach((v, i) => errors.push(...violations(v, node.items, `${path}[${i}]`)));
+  return errors;
+}
+
+describe('exportModel()', () => {
+  it('should name the schema and the format version', () => {
+    const doc = exportModel(model('calculator.wsdl'));
+    assert.equal(doc.$schema, SCHEMA_ID);
+    assert.equal(doc.$schema, schema.$id);
+    assert.equal(doc.formatVersion, FORMAT_VERSION);
+  });
+
+  it('should name the WSDL version of the document', () => {
+    assert.equal(exportModel(model('calculator.wsdl')).wsdlVersion, '1.1');
+    assert.equal(exportModel(model('weather20.wsdl')).wsdlVersion, '2.0');
+  });
+
+  it('should carry the sections of the model', () => {
+    const m = model('calculator.wsdl');
+    const doc = exportModel(m);
+    assert.equal(doc.name, 'Calculator');
+    assert.equal(doc.types, m.types);
+    assert.equal(doc.operations, m.operations);
+  });
+
+  it('should list the ancestors of each type, root first', () => {
+    const doc = exportModel(model('inheritance.wsdl'));
+    const resolved = doc.resolved.types.find((t) => t.name === 'PremiumCustomer');
+    assert.deepEqual(
+      resolved.ancestors.map((ref) => ref.localName),
+      ['Entity', 'Customer'],
+    );
+    assert.equal(resolved.valueType, null);
+  });
+
+  it('should name the value type of a type with simple content', () => {
+    const doc = exportModel(model('simple-content.wsdl'));
+    const resolved = doc.resolved.types.find((t) => t.name === 'TaxedAmount');
+    assert.equal(resolved.valueType.name, 'decimal');
+  });
+
+  it('should list the members of a substitution group', () => {
+    const doc = exportModel(model('substitution.wsdl'));
+    const method = doc.resolved.elements.find((el) => el.name === 'method');
+    assert.deepEqual(
+      method.substitutes.map((ref) => ref.localName),
+      ['card', 'sepaTransfer'],
+    );
+  });
+
+  it('should resolve the fields of each message part', () => {
+    const doc = exportModel(model('calculator.wsdl'));
+    const [part] = doc.resolved.messages.find((msg) => msg.name === 'AddInput').parts;
+    assert.equal(part.partName, 'parameters');
+    assert.deepEqual(
+      part.fields.map((f) => f.name),
+      ['a', 'b'],
+    );
+  });
+
+  for (const name of readdirSync(join(__dirname, 'fixtures')).filter((f) => f.endsWith('.wsdl'))) {
+    it(`should match the published schema for ${name}`, () => {
+      const doc = JSON.parse(renderJson(model(name)));
+      assert.deepEqual(violations(doc, schema), []);
+    });
+  }
+});
+
+describe('renderJson()', () => {
+  it('should write pretty-printed JSON ending in a newline', () => {
+    const out = renderJson(model('hello.wsdl'));
+    assert.ok(out.startsWith('{\n  "$schema": '));
+    assert.ok(out.endsWith('}\n'));
+  });
+
+  it('should give source files relative to the root document', async () => {
+    const location = join(__dirname, 'fixtures', 'imported.wsdl');
+    const raw = await loadWsdl(readFileSync(location, 'utf8'), { location });
+    const doc = JSON.parse(renderJson(buildModel(raw), { location }));
+    const files = new Set(doc.types.map((t) => t.source.file));
+    assert.deepEqual([...files].sort(), ['imported.wsdl', 'shared-types.xsd']);
+  });
+
+  it('should give source files relative to the working directory without a location', async () => {
+    const location = join(__dirname, 'fixtures', 'hello.wsdl');
+    const raw = await loadWsdl(readFileSync(location, 'utf8'), { location });
+    const doc = JSON.parse(renderJson(buildModel(raw)));
+    assert.equal(doc.types[0].source.file, relative(process.cwd(), location));
+  });
+});
@@ -3,14 +3,21 @@
  * SPDX-License-Identifier: MIT
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
-import { readFileSync } from 'node:fs';
+import { readFileSync, writeFileSync, mkdirSync, mkdtempSync, rmSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
 
-import { loadWsdl } from '../src/load.js';
+import { loadWsdl, loadWsdlFrom, defaultResolver, resolveLocation } from '../src/load.js';
 import { buildModel } from '../src/model.js';
+import { buildIndex, resolveMessageFields } from '../src/resolve.js';
+import { renderHtml } from '../src/render.js';
+import { loadCatalog, parseCatalog } from '../src/catalog.js';
+import { createGraph } from '../src/graph.js';
+import { diagnose } from '../src/diagnose.js';
+import { wsdlRoot } from '../src/util.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const fixturesDir = join(__dirname, 'fixtures');
@@ -35,6 +42,14 @@ describe('loadWsdl()', () => {
     });
   });
 
+  describe('weather20.wsdl – WSDL 2.0', () => {
+    it('should load a <description> document and produce 2 operations', async () => {
+      const m = await model('weather20.wsdl');
+      assert.equal(m.operations.length, 2);
+      assert.equal(m.types.length, 4);
+    });
+  });
+
   describe('imported.wsdl – xsd:import resolution', () => {
     it('should load without throwing', async () => {
       await assert.doesNotReject(() => model('imported.wsdl'));
@@ -99,6 +114,641 @@ describe('loadWsdl()', () => {
     });
   });
 
+  describe('namespaces.wsdl – same local name in two imported namespaces', () => {
+    const VENDOR_A = 'http://vendor-a.example.com/address';
+    const VENDOR_B = 'http://vendor-b.example.com/address';
+
+    it('should keep both Address types with their own namespaces', async () => {
+      const m = await model('namespaces.wsdl');
+      const addresses = m.types.filter((t) => t.name === 'Address');
+      assert.deepEqual(addresses.map((t) => t.namespace).sort(), [VENDOR_A, VENDOR_B]);
+    });
+
+    it('should record the qualified type reference of each field', async () => {
+      const m = await model('namespaces.wsdl');
+      const order = m.types.find((t) => t.name === 'CreateOrder');
+      assert.equal(order.namespace, 'http://example.com/order');
+      assert.deepEqual(order.fields[0].typeRef, { namespace: VENDOR_A, localName: 'Address' });
+      assert.deepEqual(order.fields[1].typeRef, { namespace: VENDOR_B, localName: 'Address' });
+    });
+
+    it('should index both Address types by qualified name', async () => {
+      const index = buildIndex(await model('namespaces.wsdl'));
+      assert.equal(index.typeByQName.get(`{${VENDOR_A}}Address`).fields.length, 2);
+      assert.equal(index.typeByQName.get(`{${VENDOR_B}}Address`).fields.length, 3);
+    });
+
+    it('should resolve a type= part to the Address in the referenced namespace', async () => {
+      const m = await model('namespaces.wsdl');
+      const op = m.operations.find((o) => o.name === 'ShipTo');
+      const [part] = resolveMessageFields(op.inputRef, buildIndex(m));
+      assert.deepEqual(
+        part.fields.map((f) => f.name),
+        ['line1', 'postcode', 'country'],
+      );
+    });
+
+    it('should label the colliding names with a short namespace in the HTML', async () => {
+      const out = renderHtml(await model('namespaces.wsdl'));
+      assert.ok(out.includes(`<abbr title="${VENDOR_A}">vendor-a.example.com/address</abbr>`));
+      assert.ok(out.includes(`<abbr title="${VENDOR_B}">vendor-b.example.com/address</abbr>`));
+      assert.ok(!out.includes('<abbr title="http://example.com/order">'));
+    });
+  });
+
+  describe('cross-namespace.wsdl – same message name in an imported WSDL', () => {
+    it('should keep both Req messages with their own namespaces', async () => {
+      const m = await model('cross-namespace.wsdl');
+      const reqs = m.messages.filter((msg) => msg.name === 'Req');
+      assert.deepEqual(reqs.map((msg) => msg.namespace).sort(), ['urn:a', 'urn:b']);
+    });
+
+    it('should resolve each operation to the message in its namespace', async () => {
+      const m = await model('cross-namespace.wsdl');
+      const index = buildIndex(m);
+      const parts = (name) =>
+        resolveMessageFields(m.operations.find((o) => o.name === name).inputRef, index);
+      assert.deepEqual(
+        parts('OpA').map((p) => p.partName),
+        ['id'],
+      );
+      assert.deepEqual(
+        parts('OpB').map((p) => p.partName),
+        ['code', 'note'],
+      );
+    });
+
+    it('should label the colliding message names with their namespaces in the HTML', async () => {
+      const out = renderHtml(await model('cross-namespace.wsdl'));
+      assert.ok(out.includes('<dt><strong>Req</strong> <small><abbr title="urn:b">b</abbr>'));
+      assert.ok(out.includes('<code>Req</code> <small><abbr title="urn:a">a</abbr></small>'));
+    });
+  });
+
+  describe('dangling.wsdl – declaration sources', () => {
+    const location = join(fixturesDir, 'dangling.wsdl');
+    const load = async () => buildModel(await loadWsdl(fixture('dangling.wsdl'), { location }));
+
+    it('should record the file each declaration was loaded from', async () => {
+      const m = await load();
+      assert.deepEqual(m.types.find((t) => t.name === 'Account').source, {
+        file: join(fixturesDir, 'dangling-types.xsd'),
+        line: 17,
+        column: 3,
+      });
+      assert.deepEqual(m.messages[0].source, { file: location, line: 40, column: 3 });
+    });
+
+    it('should resolve imports against the location when no baseDir is given', async () => {
+      const m = await load();
+      assert.ok(m.types.find((t) => t.name === 'Account'));
+    });
+
+    it('should expand an element declared with type= to that type', async () => {
+      const parts = resolveMessageFields('GetAccountOut', buildIndex(await load()));
+      assert.deepEqual(
+        parts[0].fields.map((f) => f.name),
+        ['id', 'balance'],
+      );
+    });
+  });
+
+  describe('multi-schema.wsdl – several inline schemas in <types>', () => {
+    it('should collect the types of every inline schema', async () => {
+      const m = await model('multi-schema.wsdl');
+      const names = m.types.map((t) => t.name);
+      assert.ok(names.includes('GetItem'));
+      assert.ok(names.includes('Item'));
+    });
+
+    it('should keep the targetNamespace of each inline schema', async () => {
+      const m = await model('multi-schema.wsdl');
+      const item = m.types.find((t) => t.name === 'Item');
+      const getItem = m.types.find((t) => t.name === 'GetItem');
+      assert.equal(item.namespace, 'http://example.com/inventory/data');
+      assert.equal(getItem.namespace, 'http://example.com/inventory');
+    });
+
+    it('should resolve the schemaLocation imports of the second inline schema', async () => {
+      const m = await model('multi-schema.wsdl');
+      const person = m.types.find((t) => t.name === 'PersonType');
+      assert.ok(person, 'PersonType should be merged from shared-types.xsd');
+      assert.equal(person.namespace, 'http://example.com/types');
+    });
+
+    it('should group the Types section by schema namespace', async () => {
+      const out = renderHtml(await model('multi-schema.wsdl'));
+      const section = out.slice(out.indexOf('id="types"'), out.indexOf('id="messages"'));
+      assert.ok(section.includes('<h3><code>http://example.com/inventory</code></h3>'));
+      assert.ok(section.includes('<h3><code>http://example.com/inventory/data</code></h3>'));
+      assert.ok(section.includes('<h3><code>http://example.com/types</code></h3>'));
+    });
+
+    it('should not send the namespace of an inline schema through the catalog', async () => {
+      const catalog = parseCatalog(
+        `<catalog xmlns="urn:oasis:names:tc:entity:xmlns:xml:catalog">
+          <rewriteURI uriStartString="http://example.com/" rewritePrefix="./schemas/"/>
+          <uri name="http://example.com/inventory/data" uri="./missing.xsd"/>
+        </catalog>`,
+        fixturesDir,
+      );
+      const raw = await loadWsdl(fixture('multi-schema.wsdl'), { baseDir: fixturesDir, catalog });
+      const names = (m) => m.types.map((t) => t.name);
+      assert.deepEqual(names(buildModel(raw)), names(await model('multi-schema.wsdl')));
+    });
+  });
+
+  describe('offline.wsdl – catalog redirection', () => {
+    const loadOffline = async (catalogName) => {
+      const catalog = await loadCatalog(join(fixturesDir, catalogName));
+      return buildModel(await loadWsdl(fixture('offline.wsdl'), { baseDir: fixturesDir, catalog }));
+    };
+
+    it('should load a rewritten https schemaLocation from disk', async () => {
+      const m = await loadOffline('catalog.xml');
+      assert.ok(m.types.find((t) => t.name === 'PersonType'));
+    });
+
+    it('should load a namespace-only import through a catalog <uri> entry', async () => {
+      const m = await loadOffline('catalog.xml');
+      const address = m.types.find((t) => t.name === 'Address');
+      assert.equal(address?.namespace, 'http://vendor-a.example.com/address');
+    });
+
+    it('should accept a JSON mapping as the catalog', async () => {
+      const m = await loadOffline('catalog.json');
+      assert.deepEqual(m.types.map((t) => t.name).sort(), ['Address', 'Gender', 'PersonType']);
+    });
+
+    it('should skip a namespace-only import when no catalog is given', async () => {
+      const xml = fixture('offline.wsdl').replace(/<xsd:import[^>]*schemaLocation="[^"]*"\/>/, '');
+      const raw = await loadWsdl(xml, { baseDir: fixturesDir });
+      assert.equal(buildModel(raw).types.length, 0);
+    });
+  });
+
+  describe('resolver option – custom sources', () => {
+    const files = new Map([
+      [
+        'mem://portal/xsd/person.xsd',
+        `<xsd:schema xmlns:xsd="http://www.w3.org/2001/XMLSchema" targetNamespace="urn:people">
+           <xsd:include schemaLocation="common/gender.xsd"/>
+           <xsd:complexType name="Person"><xsd:sequence>
+             <xsd:element name="name" type="xsd:string"/>
+           </xsd:sequence></xsd:complexType>
+         </xsd:schema>`,
+      ],
+      [
+        'mem://portal/xsd/common/gender.xsd',
+        `<xsd:schema xmlns:xsd="http://www.w3.org/2001/XMLSchema" targetNamespace="urn:people">
+           <xsd:include schemaLocation="../person.xsd"/>
+           <xsd:simpleType name="Gender"><xsd:restriction base="xsd:string">
+             <xsd:enumeration value="F"/>
+           </xsd:restriction></xsd:simpleType>
+         </xsd:schema>`,
+      ],
+    ]);
+    const wsdl = `<definitions xmlns="http://schemas.xmlsoap.org/wsdl/"
+        xmlns:xsd="http://www.w3.org/2001/XMLSchema" targetNamespace="urn:svc">
+      <types><xsd:schema><xsd:import namespace="urn:people" schemaLocation="../xsd/person.xsd"/></xsd:schema></types>
+    </definitions>`;
+    const memResolver = (calls) => async (location, base) => {
+      const absLoc = resolveLocation(location, base);
+      calls.push(absLoc);
+      if (!files.has(absLoc)) throw new Error(`Not in memory: ${absLoc}`);
+      return { content: files.get(absLoc), location: absLoc };
+    };
+
+    it('should load imports through the given resolver', async () => {
+      const raw = await loadWsdl(wsdl, {
+        baseDir: 'mem://portal/wsdl/',
+        resolver: memResolver([]),
+      });
+      assert.deepEqual(
+        buildModel(raw)
+          .types.map((t) => t.name)
+          .sort(),
+        ['Gender', 'Person'],
+      );
+    });
+
+    it('should resolve relative imports against the importing document for custom schemes', async () => {
+      const calls = [];
+      await loadWsdl(wsdl, { baseDir: 'mem://portal/wsdl/', resolver: memResolver(calls) });
+      assert.deepEqual(calls, [
+        'mem://portal/xsd/person.xsd',
+        'mem://portal/xsd/common/gender.xsd',
+      ]);
+    });
+
+    it('should skip a document whose canonical location was already loaded', async () => {
+      const calls = [];
+      const resolver = async (location) => {
+        calls.push(location);
+        return { content: files.get('mem://portal/xsd/common/gender.xsd'), location: 'mem://one' };
+      };
+      const xml = wsdl.replace(
+        '</xsd:schema>',
+        '<xsd:include schemaLocation="alias.xsd"/></xsd:schema>',
+      );
+      const raw = await loadWsdl(xml, { baseDir: 'mem://portal/wsdl/', resolver });
+      assert.equal(buildModel(raw).types.length, 1);
+    });
+
+    it('should pass catalog targets to the resolver', async () => {
+      const calls = [];
+      const catalog = {
+        resolve: () => null,
+        resolveNamespace: (namespace) =>
+          namespace === 'urn:people' ? 'mem://portal/xsd/person.xsd' : null,
+      };
+      const xml = wsdl.replace(' schemaLocation="../xsd/person.xsd"', '');
+      await loadWsdl(xml, { baseDir: 'mem://portal/wsdl/', catalog, resolver: memResolver(calls) });
+      assert.equal(calls[0], 'mem://portal/xsd/person.xsd');
+    });
+
+    it('should resolve query-only and parent-relative locations against a URL', () => {
+      const base = 'https://host/svc/Service.svc?wsdl';
+      assert.equal(resolveLocation('?xsd=1', base), 'https://host/svc/Service.svc?xsd=1');
+      assert.equal(resolveLocation('../types.xsd', base), 'https://host/types.xsd');
+    });
+
+    it('should read local files with the default resolver', async () => {
+      const source = await defaultResolver('shared-types.xsd', fixturesDir);
+      assert.equal(source.location, join(fixturesDir, 'shared-types.xsd'));
+      assert.match(source.content, /PersonType/);
+    });
+
+    it('should reject unknown schemes in the default resolver', async () => {
+      await assert.rejects(
+        () => defaultResolver('db://schemas/a.xsd', fixturesDir),
+        /custom resolver/,
+      );
+    });
+  });
+
+  describe('redefine.wsdl – xs:redefine', () => {
+    const location = join(fixturesDir, 'redefine.wsdl');
+    const base = join(fixturesDir, 'redefine-base.xsd');
+    const load = () => loadWsdl(fixture('redefine.wsdl'), { location });
+    const type = async (name) => buildModel(await load()).types.find((t) => t.name === name);
+
+    it('should append the fields of a self-extension to the original ones', async () => {
+      const person = await type('Person');
+      assert.deepEqual(
+        person.fields.map((f) => f.name),
+        ['name', 'birthDate', 'email'],
+      );
+      assert.equal(person.documentation, 'A person, with our additions.');
+    });
+
+    it('should replace the content of a self-restriction', async () => {
+      assert.deepEqual(
+        (await type('Address')).fields.map((f) => f.name),
+        ['street', 'city'],
+      );
+    });
+
+    it('should restrict a simpleType with the new facets', async () => {
+      assert.deepEqual((await type('Gender')).enumerations, ['F', 'M']);
+    });
+
+    it('should list each redefined type once and keep the others', async () => {
+      const names = buildModel(await load()).types.map((t) => t.name);
+      assert.deepEqual(names.filter((n) => n === 'Person').length, 1);
+      assert.ok(names.includes('Country'));
+      assert.equal((await type('Country')).redefinition, null);
+    });
+
+    it('should record the kind and the original definition of a redefined type', async () => {
+      const person = await type('Person');
+      assert.deepEqual(person.redefinition, {
+        kind: 'redefine',
+        original: { file: base, line: 15, column: 3 },
+      });
+      assert.equal(person.source.file, location);
+    });
+
+    it('should inline the original in place of a group or attributeGroup self-reference', async () => {
+      const schema = wsdlRoot(await load())['types']['schema'][0];
+      const contact = schema['group'][0]['sequence'][0];
+      assert.deepEqual(
+        [...contact['sequence'][0]['element'], ...contact['element']].map((e) => e['@_name']),
+        ['phone', 'email'],
+      );
+      assert.equal(contact['group'], undefined);
+      assert.deepEqual(
+        schema['attributeGroup'][0]['attribute'].map((a) => a['@_name']),
+        ['createdBy', 'createdAt'],
+      );
+    });
+
+    it('should expand a redefined group with the original content', async () => {
+      const contact = buildModel(await load()).groups.find((g) => g.name === 'Contact');
+      assert.deepEqual(
+        contact.fields.map((f) => f.name),
+        ['phone', 'email'],
+      );
+      assert.equal(contact.redefinition.kind, 'redefine');
+    });
+
+    it('should note the redefinition and both files in the HTML', async () => {
+      const html = renderHtml(buildModel(await load()));
+      assert.ok(
+        html.includes(
+          '<p><small>Redefined by <code>xs:redefine</code> in <code>redefine.wsdl</code>; ' +
+            'originally defined in <code>redefine-base.xsd</code>.</small></p>',
+        ),
+      );
+    });
+
+    it('should record a redefine edge in the import graph', async () => {
+      const graph = createGraph();
+      await loadWsdl(fixture('redefine.wsdl'), { location, graph });
+      assert.deepEqual(
+        graph.edges.map((e) => [e.kind, e.status, e.to]),
+        [['redefine', 'loaded', base]],
+      );
+    });
+  });
+
+  describe('chameleon.wsdl – chameleon includes', () => {
+    const location = join(fixturesDir, 'chameleon.wsdl');
+    const codelist = join(fixturesDir, 'codelist.xsd');
+    const NAMESPACES = [
+      'http://example.com/orders',
+      'http://example.com/accounts',
+      'http://example.com/claims',
+    ];
+    const load = async (options) =>
+      buildModel(await loadWsdl(fixture('chameleon.wsdl'), { location, ...options }));
+
+    it('should give each including namespace its own copy of the included types', async () => {
+      const m = await load();
+      for (const name of ['CodeList', 'Coded']) {
+        assert.deepEqual(
+          m.types.filter((t) => t.name === name).map((t) => t.namespace),
+          NAMESPACES,
+        );
+      }
+    });
+
+    it('should resolve unprefixed references within the adopted namespace', async () => {
+      const coded = (await load()).types.filter((t) => t.name === 'Coded');
+      assert.deepEqual(
+        coded.map((t) => t.fields[0].typeRef),
+        NAMESPACES.map((namespace) => ({ namespace, localName: 'CodeList' })),
+      );
+    });
+
+    it('should leave no reference unresolved', async () => {
+      assert.deepEqual(diagnose(await load()), []);
+    });
+
+    it('should keep the file as the source of every copy', async () => {
+      const copies = (await load()).types.filter((t) => t.name === 'CodeList');
+      assert.ok(copies.every((t) => t.source.file === codelist));
+    });
+
+    it('should load the file once per namespace and show it once in the graph', async () => {
+      const graph = createGraph();
+      await load({ graph });
+      assert.equal(graph.nodes.filter((n) => n.location === codelist).length, 1);
+      assert.deepEqual(
+        graph.edges.filter((e) => e.to === codelist).map((e) => e.status),
+        ['loaded', 'loaded', 'loaded'],
+      );
+    });
+
+    it('should include a chameleon schema only once per namespace', async () => {
+      const xml = fixture('chameleon.wsdl').replace(
+        '<xs:element name="ClaimStatus"',
+        '<xs:include schemaLocation="./codelist.xsd"/><xs:element name="ClaimStatus"',
+      );
+      const m = buildModel(await loadWsdl(xml, { location }));
+      assert.equal(m.types.filter((t) => t.name === 'CodeList').length, 3);
+    });
+  });
+
+  describe('attributes.wsdl – attributes from imported schemas', () => {
+    const location = join(fixturesDir, 'attributes.wsdl');
+    const load = async () => buildModel(await loadWsdl(fixture('attributes.wsdl'), { location }));
+
+    it('should resolve attribute and attribute group references into imports', async () => {
+      const order = (await load()).types.find((t) => t.name === 'Order');
+      const lang = order.attributes.find((a) => a.name === 'lang');
+      assert.equal(lang.type, 'language');
+      assert.equal(lang.default, 'en');
+      assert.equal(lang.documentation, 'Language of the text content.');
+      assert.ok(order.attributes.some((a) => a.name === 'traceId'));
+    });
+
+    it('should leave no reference unresolved', async () => {
+      assert.deepEqual(diagnose(await load()), []);
+    });
+  });
+
+  describe('xs:override', () => {
+    const wsdl = `<definitions xmlns="http://schemas.xmlsoap.org/wsdl/" targetNamespace="urn:svc">
+      <types><xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" targetNamespace="http://example.com/people">
+        <xs:override schemaLocation="redefine-base.xsd">
+          <xs:complexType name="Address"><xs:sequence>
+            <xs:element name="line" type="xs:string" maxOccurs="3"/>
+          </xs:sequence></xs:complexType>
+          <xs:complexType name="Planet"/>
+        </xs:override>
+      </xs:schema></types>
+    </definitions>`;
+    const load = async () => buildModel(await loadWsdl(wsdl, { baseDir: fixturesDir }));
+
+    it('should replace a component outright', async () => {
+      const address = (await load()).types.find((t) => t.name === 'Address');
+      assert.deepEqual(
+        address.fields.map((f) => f.name),
+        ['line'],
+      );
+      assert.equal(address.redefinition.kind, 'override');
+    });
+
+    it('should ignore components the overridden schema does not declare', async () => {
+      assert.ok(!(await load()).types.some((t) => t.name === 'Planet'));
+    });
+
+    it('should say the type was overridden in the HTML', async () => {
+      assert.ok(renderHtml(await load()).includes('Redefined by <code>xs:override</code>;'));
+    });
+  });
+
+  describe('xs:redefine of a schema included already', () => {
+    const files = new Map([
+      [
+        'mem://xsd/base.xsd',
+        `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" targetNamespace="urn:party">
+           <xs:complexType name="Party"><xs:sequence>
+             <xs:element name="name" type="xs:string"/>
+           </xs:sequence></xs:complexType>
+         </xs:schema>`,
+      ],
+      [
+        'mem://xsd/ext.xsd',
+        `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:p="urn:party" targetNamespace="urn:party">
+           <xs:redefine schemaLocation="base.xsd">
+             <xs:complexType name="Party"><xs:complexContent><xs:extension base="p:Party">
+               <xs:sequence><xs:element name="taxId" type="xs:string"/></xs:sequence>
+             </xs:extension></xs:complexContent></xs:complexType>
+           </xs:redefine>
+         </xs:schema>`,
+      ],
+    ]);
+    const resolver = async (location, base) => {
+      const absLoc = resolveLocation(location, base);
+      return { content: files.get(absLoc), location: absLoc };
+    };
+    const party = async (first, second) => {
+      const wsdl = `<definitions xmlns="http://schemas.xmlsoap.org/wsdl/" targetNamespace="urn:svc">
+        <types><xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" targetNamespace="urn:party">
+          <xs:include schemaLocation="${first}"/>
+          <xs:include schemaLocation="${second}"/>
+        </xs:schema></types>
+      </definitions>`;
+      const raw = await loadWsdl(wsdl, { baseDir: 'mem://xsd/', resolver });
+      return buildModel(raw).types.filter((t) => t.name === 'Party');
+    };
+
+    it('should apply the redefinition whichever include comes first', async () => {
+      for (const order of [
+        ['base.xsd', 'ext.xsd'],
+        ['ext.xsd', 'base.xsd'],
+      ]) {
+        const types = await party(...order);
+        assert.equal(types.length, 1, order.join(', '));
+        assert.deepEqual(
+          types[0].fields.map((f) => f.name),
+          ['name', 'taxId'],
+          order.join(', '),
+        );
+        assert.equal(types[0].redefinition.kind, 'redefine');
+      }
+    });
+  });
+
+  describe('loadWsdlFrom() – archives', () => {
+    const bundle = join(fixturesDir, 'bundle.zip');
+
+    it('should load the auto-detected root WSDL and resolve imports inside the archive', async () => {
+      const m = buildModel(await loadWsdlFrom(bundle));
+      assert.equal(m.name, 'PersonService');
+      assert.ok(m.types.find((t) => t.name === 'PersonType'));
+    });
+
+    it('should record archive entry locations as sources', async () => {
+      const m = buildModel(await loadWsdlFrom(`${bundle}!/META-INF/wsdl/service.wsdl`));
+      assert.equal(
+        m.types.find((t) => t.name === 'PersonType').source.file,
+        `${bundle}!/META-INF/xsd/shared-types.xsd`,
+      );
+    });
+
+    it('should load a plain file path too', async () => {
+      const m = buildModel(await loadWsdlFrom(join(fixturesDir, 'imported.wsdl')));
+      assert.ok(m.types.find((t) => t.name === 'PersonType'));
+    });
+  });
+
+  describe('large schema sets', () => {
+    // A generated stand-in for an ACORD-sized industry schema: a WSDL importing
+    // 20 module schemas, each including 9 part schemas that all import one
+    // common schema – 201 XSDs, one complexType each.
+    const XS = 'xmlns:xs="http://www.w3.org/2001/XMLSchema"';
+    let dir;
+    const moduleSchema = (
+      i,
+    ) => `<xs:schema ${XS} xmlns:c="urn:bench:common" targetNamespace="urn:bench:m${i}">
+  ${Array.from({ length: 9 }, (_, j) => `<xs:include schemaLocation="parts/m${i}-p${j}.xsd"/>`).join('\n  ')}
+  <xs:complexType name="Module${i}"><xs:sequence>
+    <xs:element name="id" type="xs:string"/>
+  </xs:sequence></xs:complexType>
+</xs:schema>`;
+    const partSchema = (
+      i,
+      j,
+    ) => `<xs:schema ${XS} xmlns:c="urn:bench:common" targetNamespace="urn:bench:m${i}">
+  <xs:import namespace="urn:bench:common" schemaLocation="../common.xsd"/>
+  <xs:complexType name="Part${i}x${j}"><xs:sequence>
+    <xs:element name="code" type="xs:string"/>
+    <xs:element name="common" type="c:Common" minOccurs="0"/>
+  </xs:sequence></xs:complexType>
+</xs:schema>`;
+    const load = (options) => loadWsdlFrom(join(dir, 'service.wsdl'), options);
+
+    before(() => {
+      dir = mkdtempSync(join(tmpdir(), 'cwsdl-bench-'));
+      mkdirSync(join(dir, 'parts'));
+      writeFileSync(
+        join(dir, 'common.xsd'),
+        `<xs:schema ${XS} targetNamespace="urn:bench:common"><xs:complexType name="Common"/></xs:schema>`,
+      );
+      for (let i = 0; i < 20; i++) {
+        writeFileSync(join(dir, `m${i}.xsd`), moduleSchema(i));
+        for (let j = 0; j < 9; j++)
+          writeFileSync(join(dir, 'parts', `m${i}-p${j}.xsd`), partSchema(i, j));
+      }
+      writeFileSync(
+        join(dir, 'service.wsdl'),
+        `<definitions xmlns="http://schemas.xmlsoap.org/wsdl/" targetNamespace="urn:bench">
+  <types><xs:schema ${XS} targetNamespace="urn:bench">
+    ${Array.from({ length: 20 }, (_, i) => `<xs:import namespace="urn:bench:m${i}" schemaLocation="m${i}.xsd"/>`).join('\n    ')}
+  </xs:schema></types>
+</definitions>`,
+      );
+    });
+
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('should load all 201 schemas, fetching each document once', async () => {
+      const calls = new Map();
+      const resolver = async (location, base) => {
+        const source = await defaultResolver(location, base);
+        calls.set(source.location, (calls.get(source.location) ?? 0) + 1);
+        return source;
+      };
+      const m = buildModel(await load({ resolver }));
+      assert.equal(m.types.length, 201);
+      assert.equal(calls.size, 202);
+      assert.ok([...calls.values()].every((n) => n === 1));
+    });
+
+    it('should fetch concurrently, but at most `concurrency` documents at once', async () => {
+      let active = 0;
+      let peak = 0;
+      const resolver = async (location, base) => {
+        peak = Math.max(peak, ++active);
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        active--;
+        return defaultResolver(location, base);
+      };
+      await load({ resolver, concurrency: 4 });
+      assert.equal(peak, 4);
+    });
+
+    it('should merge in document order whatever order the fetches finish in', async () => {
+      const slowFirst = async (location, base) => {
+        const n = Number(/m(\d+)\.xsd$/.exec(location)?.[1] ?? 0);
+        await new Promise((resolve) => setTimeout(resolve, 20 - n));
+        return defaultResolver(location, base);
+      };
+      const names = (raw) => buildModel(raw).types.map((t) => t.name);
+      assert.deepEqual(names(await load({ resolver: slowFirst })), names(await load()));
+    });
+
+    it('should reject a concurrency below one', async () => {
+      await assert.rejects(
+        () => load({ concurrency: 0 }),
+        /concurrency must be a positive integer/,
+      );
+    });
+  });
+
   describe('error handling', () => {
     it('should throw when the XML is not a valid WSDL', async () => {
       await assert.rejects(
@@ -117,5 +767,21 @@ describe('loadWsdl()', () => {
         (err) => err.code === 'ENOENT' || /no such file|ENOENT/i.test(err.message),
       );
     });
+
+    it('should name the failing import and where it is declared', async () => {
+      const location = join(fixturesDir, 'imported.wsdl');
+      const xml = fixture('imported.wsdl').replace('"./shared-types.xsd"', '"./nonexistent.xsd"');
+      await assert.rejects(
+        () => loadWsdl(xml, { location }),
+        (err) => {
+          assert.match(
+            err.message,
+            new RegExp(`^Cannot load import "\\./nonexistent\\.xsd" at ${location}:\\d+:\\d+: `),
+          );
+          assert.equal(err.cause.code, 'ENOENT');
+          return true;
+        },
+      );
+    });
   });
 });
@@ -15,6 +15,7 @@ import { buildModel } from '../src/model.js';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const model = (name) =>
   buildModel(parseWsdl(readFileSync(join(__dirname, 'fixtures', name), 'utf8')));
+const typeNamed = (m, name) => m.types.find((t) => t.name === name);
 
 describe('buildModel()', () => {
   describe('calculator.wsdl', () => {
@@ -147,6 +148,31 @@ describe('buildModel()', () => {
         assert.equal(ep.url, 'http://example.com/calculator');
       });
     });
+
+    describe('declarations', () => {
+      it('should list every global element', () => {
+        assert.deepEqual(
+          m.elements.map((e) => e.name),
+          ['AddRequest', 'AddResponse', 'DivideRequest', 'DivideResponse', 'MathFault'],
+        );
+      });
+
+      it('should list the portTypes with their namespace', () => {
+        assert.deepEqual(
+          m.portTypes.map((pt) => [pt.name, pt.namespace]),
+          [['CalculatorPortType', 'http://example.com/calculator']],
+        );
+      });
+
+      it('should record positions but no file when the document location is unknown', () => {
+        assert.deepEqual(m.types[0].source, { file: null, line: 24, column: 7 });
+        assert.deepEqual(m.operations[0].source, { file: null, line: 107, column: 5 });
+      });
+
+      it('should record the position of each field', () => {
+        assert.deepEqual(m.types[0].fields[0].source, { file: null, line: 27, column: 13 });
+      });
+    });
   });
 
   describe('hello.wsdl', () => {
@@ -207,4 +233,727 @@ describe('buildModel()', () => {
       });
     });
   });
+
+  describe('weather20.wsdl (WSDL 2.0)', () => {
+    const m = model('weather20.wsdl');
+
+    it('should take the service name when <description> has no name', () => {
+      assert.equal(m.name, 'WeatherService');
+    });
+
+    it('should set targetNamespace and documentation', () => {
+      assert.equal(m.targetNamespace, 'http://example.com/weather');
+      assert.equal(m.documentation, 'Weather observations and forecasts.');
+    });
+
+    it('should extract element-wrapped types from the inline schema', () => {
+      assert.equal(m.types.length, 4);
+      assert.ok(m.types.every((t) => t.kind === 'element'));
+    });
+
+    it('should synthesise one single-part message per referenced element', () => {
+      assert.deepEqual(
+        m.messages.map((msg) => msg.name),
+        ['GetForecast', 'GetForecastResponse', 'ReportReading', 'UnknownCity'],
+      );
+      const msg = m.messages.find((msg) => msg.name === 'GetForecast');
+      assert.equal(msg.namespace, 'http://example.com/weather');
+      assert.deepEqual(msg.parts, [
+        {
+          name: 'body',
+          element: 'GetForecast',
+          type: '',
+          elementRef: { namespace: 'http://example.com/weather', localName: 'GetForecast' },
+          typeRef: null,
+        },
+      ]);
+    });
+
+    it('should map interface operations with their message exchange patterns', () => {
+      const op = m.operations.find((o) => o.name === 'GetForecast');
+      assert.equal(op.pattern, 'in-out');
+      assert.equal(op.input, 'GetForecast');
+      assert.equal(op.output, 'GetForecastResponse');
+      assert.equal(op.documentation, 'Returns the forecast for a city.');
+    });
+
+    it('should leave the output empty for an in-only operation', () => {
+      const op = m.operations.find((o) => o.name === 'ReportReading');
+      assert.equal(op.pattern, 'in-only');
+      assert.equal(op.output, '');
+    });
+
+    it('should resolve outfault references to the interface fault element', () => {
+      const op = m.operations.find((o) => o.name === 'GetForecast');
+      assert.deepEqual(op.faults, [
+        {
+          name: 'UnknownCityFault',
+          message: 'UnknownCity',
+          messageRef: { namespace: 'http://example.com/weather', localName: 'UnknownCity' },
+        },
+      ]);
+    });
+
+    it('should read wsoap: attributes on the SOAP binding', () => {
+      const b = m.bindings.find((b) => b.name === 'WeatherSOAPBinding');
+      assert.equal(b.type, 'WeatherInterface');
+      assert.equal(b.protocol, 'SOAP 1.2');
+      assert.equal(b.transport, 'http://www.w3.org/2003/05/soap/bindings/HTTP/');
+      const op = b.operations.find((o) => o.name === 'GetForecast');
+      assert.equal(op.soapAction, 'http://example.com/weather/GetForecast');
+    });
+
+    it('should read whttp: method and location on the HTTP binding', () => {
+      const b = m.bindings.find((b) => b.name === 'WeatherHTTPBinding');
+      assert.equal(b.protocol, 'HTTP');
+      const get = b.operations.find((o) => o.name === 'GetForecast');
+      assert.equal(get.method, 'GET');
+      assert.equal(get.location, 'forecast/{city}');
+      const post = b.operations.find((o) => o.name === 'ReportReading');
+      assert.equal(post.method, 'POST');
+    });
+
+    it('should bind the operations an interface inherits through extends', () => {
+      const station = model('interface-extends.wsdl');
+      assert.deepEqual(station.portTypes[1].extends, [
+        { namespace: 'http://example.com/station', localName: 'BaseInterface' },
+      ]);
+      assert.deepEqual(station.portTypes[0].extends, []);
+      assert.deepEqual(station.bindings[0].operations, [
+        { name: 'Report', soapAction: '', method: 'PUT', location: 'reports' },
+        { name: 'Ping', soapAction: '', method: 'POST', location: '' },
+      ]);
+    });
+
+    it('should resolve a fault reference to a fault the interface inherits', () => {
+      const xml = readFileSync(join(__dirname, 'fixtures', 'interface-extends.wsdl'), 'utf8')
+        .replace(
+          '<xs:element name="Ping" type="xs:string"/>',
+          '<xs:element name="Ping" type="xs:string"/><xs:element name="Offline" type="xs:string"/>',
+        )
+        .replace(
+          '<interface name="BaseInterface">',
+          '<interface name="BaseInterface"><fault name="OfflineFault" element="tns:Offline"/>',
+        )
+        .replace(
+          'pattern="http://www.w3.org/ns/wsdl/in-only">\n      <input element="tns:Report"/>',
+          'pattern="http://www.w3.org/ns/wsdl/robust-in-only">\n      <input element="tns:Report"/>' +
+            '<outfault ref="tns:OfflineFault"/>',
+        );
+      const report = buildModel(parseWsdl(xml)).operations.find((o) => o.name === 'Report');
+      assert.deepEqual(report.faults, [
+        {
+          name: 'OfflineFault',
+          message: 'Offline',
+          messageRef: { namespace: 'http://example.com/station', localName: 'Offline' },
+        },
+      ]);
+    });
+
+    it('should map service endpoints to endpoints', () => {
+      assert.equal(m.endpoints.length, 2);
+      assert.deepEqual(m.endpoints[0], {
+        service: 'WeatherService',
+        port: 'WeatherSOAPEndpoint',
+        binding: 'WeatherSOAPBinding',
+        bindingRef: { namespace: 'http://example.com/weather', localName: 'WeatherSOAPBinding' },
+        url: 'http://example.com/weather/soap',
+      });
+    });
+  });
+
+  describe('inheritance.wsdl – complexContent derivation', () => {
+    const m = model('inheritance.wsdl');
+
+    it('should record the base and derivation of an extension', () => {
+      const t = typeNamed(m, 'Customer');
+      assert.equal(t.base, 'Entity');
+      assert.deepEqual(t.baseRef, {
+        namespace: 'http://example.com/customers',
+        localName: 'Entity',
+      });
+      assert.equal(t.derivation, 'extension');
+    });
+
+    it('should record a restriction, including one of a built-in type', () => {
+      assert.equal(typeNamed(m, 'CustomerSummary').derivation, 'restriction');
+      assert.equal(typeNamed(m, 'Note').derivation, 'restriction');
+      assert.equal(typeNamed(m, 'Note').baseRef.namespace, 'http://www.w3.org/2001/XMLSchema');
+    });
+
+    it('should list only the fields a derived type declares itself', () => {
+      assert.deepEqual(
+        typeNamed(m, 'PremiumCustomer').fields.map((f) => f.name),
+        ['tier'],
+      );
+      assert.deepEqual(
+        typeNamed(m, 'CustomerSummary').fields.map((f) => f.name),
+        ['id', 'name'],
+      );
+    });
+
+    it('should read the derivation of an anonymous element type', () => {
+      const t = typeNamed(m, 'UpdateCustomer');
+      assert.equal(t.kind, 'element');
+      assert.equal(t.base, 'Customer');
+      assert.deepEqual(
+        t.fields.map((f) => f.name),
+        ['reason'],
+      );
+    });
+
+    it('should leave underived types without a base', () => {
+      assert.equal(typeNamed(m, 'Entity').base, '');
+      assert.equal(typeNamed(m, 'Entity').baseRef, null);
+      assert.equal(typeNamed(m, 'Entity').derivation, null);
+    });
+  });
+
+  describe('attributes.wsdl – attributes', () => {
+    const m = model('attributes.wsdl');
+    const attributes = (name) => m.types.find((t) => t.name === name).attributes;
+
+    it('should describe each attribute with its type, use and values', () => {
+      const [id, status] = attributes('Order');
+      assert.deepEqual(
+        { ...id, source: undefined },
+        {
+          name: 'id',
+          type: 'OrderId',
+          typeRef: { namespace: 'http://example.com/orders', localName: 'OrderId' },
+          use: 'required',
+          default: null,
+          fixed: null,
+          documentation: 'Order key.',
+          source: undefined,
+        },
+      );
+      assert.equal(status.use, 'optional');
+      assert.equal(status.default, 'open');
+    });
+
+    it('should expand attribute group references', () => {
+      const createdBy = attributes('Order').find((a) => a.name === 'createdBy');
+      const version = attributes('Order').find((a) => a.name === 'schemaVersion');
+      assert.equal(createdBy.use, 'required');
+      assert.equal(version.fixed, '2');
+    });
+
+    it('should name a reference to an unknown global attribute after the reference', () => {
+      const lang = attributes('Order').find((a) => a.name === 'lang');
+      assert.equal(lang.type, '');
+      assert.equal(lang.typeRef, null);
+    });
+
+    it('should read the attributes of a derivation and of an anonymous type', () => {
+      assert.deepEqual(
+        attributes('ArchivedOrder').map((a) => a.name),
+        ['archivedAt'],
+      );
+      assert.equal(attributes('DraftOrder')[0].use, 'prohibited');
+      assert.equal(attributes('GetOrder')[0].name, 'id');
+    });
+
+    it('should keep attributes out of the element fields', () => {
+      assert.deepEqual(
+        m.types.find((t) => t.name === 'Order').fields.map((f) => f.name),
+        ['item'],
+      );
+    });
+
+    it('should give simple types no attributes', () => {
+      assert.deepEqual(attributes('OrderId'), []);
+    });
+  });
+
+  describe('nested.wsdl – anonymous nested types', () => {
+    const m = model('nested.wsdl');
+    const field = (name) =>
+      m.types.find((t) => t.name === 'PlaceOrder').fields.find((f) => f.name === name);
+
+    it('should carry the anonymous type of a field as its children', () => {
+      const customer = field('customer');
+      assert.equal(customer.type, '');
+      assert.equal(customer.typeRef, null);
+      assert.deepEqual(
+        customer.children.fields.map((f) => f.name),
+        ['name', 'address'],
+      );
+    });
+
+    it('should nest children to any depth, with their attributes', () => {
+      const address = field('customer').children.fields[1];
+      assert.deepEqual(
+        address.children.fields.map((f) => f.name),
+        ['street', 'city'],
+      );
+      assert.deepEqual(
+        address.children.attributes.map((a) => a.name),
+        ['kind'],
+      );
+      assert.equal(address.children.fields[0].children, null);
+    });
+
+    it('should record the derivation of an anonymous type', () => {
+      const { children } = field('line');
+      assert.equal(children.derivation, 'extension');
+      assert.deepEqual(children.baseRef, {
+        namespace: 'http://example.com/ordering',
+        localName: 'LineBase',
+      });
+      assert.deepEqual(
+        children.fields.map((f) => f.name),
+        ['quantity'],
+      );
+    });
+
+    it('should give an empty anonymous type empty children', () => {
+      assert.deepEqual(field('expedite').children, {
+        base: '',
+        baseRef: null,
+        derivation: null,
+        content: null,
+        simpleContent: null,
+        fields: [],
+        attributes: [],
+      });
+    });
+
+    it('should not loop when an anonymous type contains itself', () => {
+      const raw = parseWsdl(readFileSync(join(__dirname, 'fixtures', 'nested.wsdl'), 'utf8'));
+      const [placeOrder] = raw['definitions']['types']['schema'][0]['element'];
+      const outer = placeOrder['complexType'][0];
+      outer['sequence'][0]['element'][0]['complexType'] = [outer];
+      const customer = buildModel(raw).types.find((t) => t.name === 'PlaceOrder').fields[0];
+      assert.equal(customer.children, null);
+    });
+  });
+
+  describe('refs.wsdl – element ref=', () => {
+    const m = model('refs.wsdl');
+    const fields = (name) => m.types.find((t) => t.name === name).fields;
+
+    it('should take the name, type and documentation of the referenced element', () => {
+      const [customer] = fields('register');
+      assert.equal(customer.name, 'customer');
+      assert.equal(customer.type, 'customerType');
+      assert.deepEqual(customer.typeRef, {
+        namespace: 'http://example.com/directory',
+        localName: 'customerType',
+      });
+      assert.equal(customer.documentation, 'A customer.');
+      assert.deepEqual(customer.ref, {
+        namespace: 'http://example.com/directory',
+        localName: 'customer',
+      });
+    });
+
+    it('should keep the occurrence bounds of the reference', () => {
+      const address = fields('register')[1];
+      assert.equal(address.minOccurs, '0');
+      assert.equal(address.maxOccurs, '3');
+    });
+
+    it('should resolve a reference into another schema, with its anonymous type', () => {
+      const address = fields('register')[1];
+      assert.equal(address.ref.namespace, 'http://example.com/common');
+      assert.deepEqual(
+        address.children.fields.map((f) => f.name),
+        ['street', 'city'],
+      );
+    });
+
+    it('should stop expanding an element that refers to itself', () => {
+      const [, self] = fields('node');
+      assert.equal(self.name, 'node');
+      assert.equal(self.children, null);
+      const nested = fields('register')[2].children.fields[1];
+      assert.equal(nested.name, 'node');
+      assert.equal(nested.children, null);
+    });
+
+    it('should name a reference to an unknown element after the reference', () => {
+      const xml = readFileSync(join(__dirname, 'fixtures', 'refs.wsdl'), 'utf8').replace(
+        '<xs:element ref="tns:customer"/>',
+        '<xs:element ref="tns:client"/>',
+      );
+      const [client] = buildModel(parseWsdl(xml)).types.find((t) => t.name === 'register').fields;
+      assert.equal(client.name, 'client');
+      assert.equal(client.type, '');
+      assert.equal(client.children, null);
+    });
+
+    it('should leave ref null for fields declared by name', () => {
+      assert.equal(fields('node')[0].ref, null);
+    });
+  });
+
+  describe('compositors.wsdl – nested compositors', () => {
+    const m = model('compositors.wsdl');
+    const shape = (item) =>
+      item.compositor
+        ? [item.compositor, item.minOccurs, item.maxOccurs, item.items.map(shape)]
+        : item.name;
+
+    it('should keep the compositor tree of a type in document order', () => {
+      assert.deepEqual(shape(typeNamed(m, 'Pay').content), [
+        'sequence',
+        '1',
+        '1',
+        [
+          'amount',
+          [
+            'choice',
+            '1',
+            '1',
+            ['cardNumber', 'iban', ['sequence', '1', '1', ['accountNumber', 'sortCode']]],
+          ],
+          ['sequence', '0', '1', ['note', 'reference']],
+          ['choice', '0', 'unbounded', ['tag', 'label']],
+          'currency',
+        ],
+      ]);
+    });
+
+    it('should still list every field, depth first', () => {
+      assert.deepEqual(
+        typeNamed(m, 'Pay').fields.map((f) => f.name),
+        ['amount', 'cardNumber', 'iban', 'accountNumber', 'sortCode'].concat([
+          'note',
+          'reference',
+          'tag',
+          'label',
+          'currency',
+        ]),
+      );
+    });
+
+    it('should keep xs:all and a top-level xs:choice', () => {
+      assert.deepEqual(shape(typeNamed(m, 'Contact').content), [
+        'all',
+        '1',
+        '1',
+        ['email', 'phone'],
+      ]);
+      assert.deepEqual(shape(typeNamed(m, 'Identifier').content), [
+        'choice',
+        '1',
+        '1',
+        ['passport', 'nationalId'],
+      ]);
+    });
+
+    it('should set content to null for a type without a compositor', () => {
+      const xml = readFileSync(join(__dirname, 'fixtures', 'compositors.wsdl'), 'utf8').replace(
+        /<xs:all>[\s\S]*<\/xs:all>/,
+        '',
+      );
+      const contact = buildModel(parseWsdl(xml)).types.find((t) => t.name === 'Contact');
+      assert.equal(contact.content, null);
+      assert.deepEqual(contact.fields, []);
+    });
+  });
+
+  describe('groups.wsdl – model group references', () => {
+    const m = model('groups.wsdl');
+    const group = (name) => m.groups.find((g) => g.name === name);
+
+    it('should expand a group reference into the fields of the group', () => {
+      assert.deepEqual(
+        typeNamed(m, 'PlaceOrder').fields.map((f) => f.name),
+        ['id', 'createdBy', 'createdAt', 'email', 'phone', 'note'],
+      );
+    });
+
+    it('should name the group a compositor was expanded from, with the bounds of the reference', () => {
+      const [, audit, contact] = typeNamed(m, 'PlaceOrder').content.items;
+      assert.deepEqual(audit.group, {
+        namespace: 'http://example.com/orders',
+        localName: 'AuditFields',
+      });
+      assert.equal(contact.compositor, 'choice');
+      assert.equal(contact.group.localName, 'ContactChoice');
+      assert.equal(contact.minOccurs, '0');
+      assert.equal(typeNamed(m, 'PlaceOrder').content.group, null);
+    });
+
+    it('should expand a group that is the whole content of a type, and the groups it refers to', () => {
+      const content = typeNamed(m, 'Shipment').content;
+      assert.equal(content.group.localName, 'Tracking');
+      assert.equal(content.items[1].group.localName, 'AuditFields');
+      assert.deepEqual(
+        typeNamed(m, 'Shipment').fields.map((f) => f.name),
+        ['trackingId', 'createdBy', 'createdAt'],
+      );
+    });
+
+    it('should stop at a group that refers back to itself', () => {
+      const [value, child] = group('Node').fields;
+      assert.equal(value.name, 'value');
+      const [self] = child.children.content.items;
+      assert.equal(self.group.localName, 'Node');
+      assert.deepEqual(self.items, []);
+    });
+
+    it('should expand a reference to a missing group to an empty sequence', () => {
+      const xml = readFileSync(join(__dirname, 'fixtures', 'groups.wsdl'), 'utf8').replace(
+        '<xs:group ref="tns:ContactChoice" minOccurs="0"/>',
+        '<xs:group ref="tns:Contact" minOccurs="0"/>',
+      );
+      const order = buildModel(parseWsdl(xml)).types.find((t) => t.name === 'PlaceOrder');
+      const missing = order.content.items[2];
+      assert.equal(missing.compositor, 'sequence');
+      assert.equal(missing.group.localName, 'Contact');
+      assert.deepEqual(missing.items, []);
+    });
+
+    it('should list the groups themselves', () => {
+      assert.deepEqual(
+        m.groups.map((g) => [g.name, g.kind]),
+        [
+          ['AuditFields', 'group'],
+          ['ContactChoice', 'group'],
+          ['Tracking', 'group'],
+          ['Node', 'group'],
+        ],
+      );
+      assert.equal(group('AuditFields').documentation, 'Who created a record, and when.');
+      assert.equal(group('ContactChoice').content.compositor, 'choice');
+      assert.equal(group('AuditFields').source.line, 20);
+    });
+
+    it('should not list groups as types', () => {
+      assert.ok(!m.types.some((t) => t.name === 'AuditFields'));
+    });
+  });
+
+  describe('simple-types.wsdl – facets, lists and unions', () => {
+    const m = model('simple-types.wsdl');
+    const NS = 'http://example.com/quotes';
+
+    it('should record the base of a simpleType restriction', () => {
+      const percentage = typeNamed(m, 'Percentage');
+      assert.equal(percentage.base, 'Amount');
+      assert.deepEqual(percentage.baseRef, { namespace: NS, localName: 'Amount' });
+      assert.equal(percentage.derivation, 'restriction');
+    });
+
+    it('should extract every facet in document order', () => {
+      assert.deepEqual(typeNamed(m, 'CountryCode').facets, [
+        { name: 'pattern', value: '[A-Z]{2}' },
+        { name: 'length', value: '2' },
+      ]);
+      assert.deepEqual(
+        typeNamed(m, 'Amount').facets.map((f) => f.name),
+        ['minInclusive', 'maxExclusive', 'totalDigits', 'fractionDigits'],
+      );
+      assert.deepEqual(typeNamed(m, 'Name').facets.at(-1), {
+        name: 'whiteSpace',
+        value: 'collapse',
+      });
+    });
+
+    it('should keep enumerations apart from the other facets', () => {
+      const currency = typeNamed(m, 'Currency');
+      assert.deepEqual(currency.enumerations, ['GBP', 'EUR', 'USD']);
+      assert.deepEqual(currency.facets, [{ name: 'pattern', value: '[A-Z]{3}' }]);
+    });
+
+    it('should record the item type of a list', () => {
+      assert.deepEqual(typeNamed(m, 'CurrencyList').itemType, {
+        type: 'Currency',
+        typeRef: { namespace: NS, localName: 'Currency' },
+        simpleType: null,
+      });
+      assert.equal(typeNamed(m, 'CurrencyList').derivation, null);
+      assert.deepEqual(typeNamed(m, 'CurrencyList').memberTypes, []);
+    });
+
+    it('should describe an anonymous item type', () => {
+      const { type: name, simpleType } = typeNamed(m, 'SizeList').itemType;
+      assert.equal(name, '');
+      assert.equal(simpleType.base, 'string');
+      assert.deepEqual(simpleType.enumerations, ['S', 'M', 'L']);
+    });
+
+    it('should record the member types of a union, named ones first', () => {
+      const members = typeNamed(m, 'Quantity').memberTypes;
+      assert.deepEqual(
+        members.map((m) => m.typeRef),
+        [
+          { namespace: 'http://www.w3.org/2001/XMLSchema', localName: 'positiveInteger' },
+          { namespace: NS, localName: 'Unlimited' },
+          null,
+        ],
+      );
+      assert.deepEqual(members[2].simpleType.facets, [{ name: 'length', value: '0' }]);
+      assert.equal(typeNamed(m, 'Quantity').itemType, null);
+    });
+
+    it('should leave the simple-type properties empty on complex types', () => {
+      const quote = typeNamed(m, 'GetQuote');
+      assert.deepEqual([quote.facets, quote.itemType, quote.memberTypes], [[], null, []]);
+    });
+  });
+
+  describe('simple-content.wsdl – simpleContent', () => {
+    const m = model('simple-content.wsdl');
+
+    it('should record the value type of a simpleContent extension and its attributes', () => {
+      const amount = typeNamed(m, 'Amount');
+      assert.equal(amount.base, 'decimal');
+      assert.equal(amount.derivation, 'extension');
+      assert.deepEqual(amount.simpleContent, { facets: [], enumerations: [] });
+      assert.deepEqual(
+        amount.attributes.map((a) => [a.name, a.use]),
+        [['currency', 'required']],
+      );
+      assert.equal(amount.content, null);
+    });
+
+    it('should record the facets of a simpleContent restriction', () => {
+      const small = typeNamed(m, 'SmallAmount');
+      assert.equal(small.derivation, 'restriction');
+      assert.deepEqual(small.simpleContent.facets, [
+        { name: 'maxInclusive', value: '100' },
+        { name: 'fractionDigits', value: '2' },
+      ]);
+    });
+
+    it('should read simpleContent in an anonymous field type', () => {
+      const quantity = typeNamed(m, 'Post').fields[1];
+      assert.equal(quantity.children.base, 'int');
+      assert.deepEqual(quantity.children.simpleContent, { facets: [], enumerations: [] });
+      assert.equal(quantity.children.attributes[0].name, 'unit');
+    });
+
+    it('should set simpleContent to null for other types', () => {
+      assert.equal(typeNamed(m, 'Post').simpleContent, null);
+      assert.equal(typeNamed(m, 'Post').fields[0].children, null);
+    });
+  });
+
+  describe('substitution.wsdl – element and type properties', () => {
+    const m = model('substitution.wsdl');
+    const element = (name) => m.elements.find((e) => e.name === name);
+    const field = (name) => typeNamed(m, 'Pay').fields.find((f) => f.name === name);
+
+    it('should record nillable, default, fixed and form on fields', () => {
+      assert.equal(field('reference').nillable, true);
+      assert.equal(field('amount').nillable, false);
+      assert.equal(field('channel').default, 'web');
+      assert.equal(field('version').fixed, '2');
+      assert.equal(field('note').form, 'unqualified');
+      assert.deepEqual(
+        [field('amount').default, field('amount').fixed, field('amount').form],
+        [null, null, null],
+      );
+    });
+
+    it('should record abstract, final and block on types', () => {
+      assert.equal(typeNamed(m, 'PaymentMethod').abstract, true);
+      assert.deepEqual(
+        [typeNamed(m, 'Card').abstract, typeNamed(m, 'Card').final, typeNamed(m, 'Card').block],
+        [false, '#all', 'extension'],
+      );
+      assert.equal(typeNamed(m, 'transfer').abstract, true);
+    });
+
+    it('should record the substitution group of a global element', () => {
+      assert.equal(element('method').abstract, true);
+      assert.equal(element('card').substitutionGroup, 'method');
+      assert.deepEqual(element('card').substitutionGroupRef, {
+        namespace: 'http://example.com/pay',
+        localName: 'method',
+      });
+      assert.equal(element('method').substitutionGroupRef, null);
+    });
+  });
+
+  describe('wildcards.wsdl – xs:any and xs:anyAttribute', () => {
+    const m = model('wildcards.wsdl');
+
+    it('should keep an element wildcard in the content model', () => {
+      const [id, any] = typeNamed(m, 'Extensible').content.items;
+      assert.equal(id.name, 'id');
+      assert.deepEqual(
+        { ...any, source: undefined },
+        {
+          wildcard: 'element',
+          namespace: '##other',
+          processContents: 'lax',
+          minOccurs: '0',
+          maxOccurs: 'unbounded',
+          documentation: 'Vendor extensions.',
+          source: undefined,
+        },
+      );
+    });
+
+    it('should leave wildcards out of fields', () => {
+      assert.deepEqual(
+        typeNamed(m, 'Extensible').fields.map((f) => f.name),
+        ['id'],
+      );
+    });
+
+    it('should default the namespace, processContents and bounds of a bare xs:any', () => {
+      const any = typeNamed(m, 'Submit').content.items[1].items[1];
+      assert.deepEqual(
+        [any.namespace, any.processContents, any.minOccurs, any.maxOccurs],
+        ['##any', 'strict', '1', '1'],
+      );
+    });
+
+    it('should list an attribute wildcard after the attributes', () => {
+      const attributes = typeNamed(m, 'Submit').attributes;
+      assert.equal(attributes[0].name, 'version');
+      assert.deepEqual(
+        { ...attributes[1], source: undefined },
+        {
+          wildcard: 'attribute',
+          namespace: '##targetNamespace ##local',
+          processContents: 'strict',
+          documentation: '',
+          source: undefined,
+        },
+      );
+    });
+
+    it('should take an attribute wildcard from an attribute group', () => {
+      const [lang, any] = typeNamed(m, 'Extensible').attributes;
+      assert.equal(lang.name, 'lang');
+      assert.equal(any.namespace, '##other urn:example:meta');
+      assert.equal(any.processContents, 'skip');
+    });
+  });
+
+  describe('transmission.wsdl – operation transmission patterns', () => {
+    const m = model('transmission.wsdl');
+    const op = (name) => m.operations.find((o) => o.name === name);
+
+    it('should name the pattern of each operation from the order of its messages', () => {
+      assert.deepEqual(
+        m.operations.map((o) => [o.name, o.pattern]),
+        [
+          ['GetQuote', 'in-out'],
+          ['Subscribe', 'in-only'],
+          ['ConfirmAlert', 'out-in'],
+          ['PriceChanged', 'out-only'],
+        ],
+      );
+    });
+
+    it('should leave out the message an operation does not have', () => {
+      assert.deepEqual([op('Subscribe').output, op('Subscribe').outputRef], ['', null]);
+      assert.deepEqual([op('PriceChanged').input, op('PriceChanged').inputRef], ['', null]);
+      assert.equal(op('ConfirmAlert').input, 'Acknowledgement');
+      assert.equal(op('ConfirmAlert').output, 'PriceAlert');
+    });
+
+    it('should record the parameterOrder of an operation', () => {
+      assert.deepEqual(op('GetQuote').parameterOrder, ['currency', 'symbol']);
+      assert.deepEqual(op('Subscribe').parameterOrder, []);
+    });
+  });
 });
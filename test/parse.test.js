@@ -10,6 +10,7 @@ import { fileURLToPath } from 'node:url';
 import { join, dirname } from 'node:path';
 
 import { parseWsdl } from '../src/parse.js';
+import { qname, targetNamespace, SOURCE_POS } from '../src/util.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const fixture = (name) => readFileSync(join(__dirname, 'fixtures', name), 'utf8');
@@ -23,6 +24,32 @@ describe('parseWsdl()', () => {
     assert.throws(() => parseWsdl('<foo><bar/></foo>'), /missing <definitions>/);
   });
 
+  it('should name the root element found and where it is', () => {
+    assert.throws(
+      () => parseWsdl('<?xml version="1.0"?>\n\n  <x:foo xmlns:x="urn:x"/>', 'x.wsdl'),
+      /\(found <foo> at x\.wsdl:3:3\)\.$/,
+    );
+  });
+
+  it('should say where a root element with text content only is', () => {
+    assert.throws(
+      () => parseWsdl('<?xml version="1.0"?>\n<!-- <definitions> -->\n <foo>\n</foo>', 'x.wsdl'),
+      /\(found <foo> at x\.wsdl:3:2\)\.$/,
+    );
+  });
+
+  describe('source positions', () => {
+    const defs = parseWsdl(fixture('calculator.wsdl'))['definitions'];
+
+    it('should record the line and column of each element start tag', () => {
+      assert.deepEqual(defs['portType'][0]['operation'][0][SOURCE_POS], { line: 107, column: 5 });
+    });
+
+    it('should keep the positions out of the enumerable keys', () => {
+      assert.ok(!Object.keys(defs).some((key) => key.includes('line')));
+    });
+  });
+
   describe('calculator.wsdl', () => {
     const raw = parseWsdl(fixture('calculator.wsdl'));
     const defs = raw['definitions'];
@@ -85,6 +112,34 @@ describe('parseWsdl()', () => {
     });
   });
 
+  describe('namespace annotation', () => {
+    const raw = parseWsdl(fixture('calculator.wsdl'));
+    const defs = raw['definitions'];
+
+    it('should resolve prefixed attribute values against the in-scope xmlns bindings', () => {
+      const part = defs['message'][0]['part'][0];
+      assert.deepEqual(qname(part['@_element'], part), {
+        namespace: 'http://example.com/calculator',
+        localName: 'AddRequest',
+      });
+    });
+
+    it('should record the schema targetNamespace on top-level declarations', () => {
+      const el = defs['types']['schema'][0]['element'][0];
+      assert.equal(targetNamespace(el), 'http://example.com/calculator');
+    });
+
+    it('should not leave xmlns declarations among the attributes', () => {
+      assert.ok(!Object.keys(defs).some((k) => k.startsWith('@_xmlns')));
+    });
+
+    it('should strip prefixes from attribute names', () => {
+      const raw20 = parseWsdl(fixture('weather20.wsdl'));
+      const binding = raw20['description']['binding'][0];
+      assert.equal(binding['@_version'], '1.2');
+    });
+  });
+
   describe('hello.wsdl', () => {
     const raw = parseWsdl(fixture('hello.wsdl'));
     const defs = raw['definitions'];
@@ -120,4 +175,24 @@ describe('parseWsdl()', () => {
       }
     });
   });
+
+  describe('weather20.wsdl (WSDL 2.0)', () => {
+    const raw = parseWsdl(fixture('weather20.wsdl'));
+    const desc = raw['description'];
+
+    it('should accept a <description> root element', () => {
+      assert.equal(typeof desc, 'object');
+      assert.equal(raw['definitions'], undefined);
+    });
+
+    it('should expose interfaces and their operations as arrays', () => {
+      assert.ok(Array.isArray(desc['interface']));
+      assert.equal(desc['interface'][0]['operation'].length, 2);
+    });
+
+    it('should expose service endpoints as an array', () => {
+      assert.ok(Array.isArray(desc['service'][0]['endpoint']));
+      assert.equal(desc['service'][0]['endpoint'].length, 2);
+    });
+  });
 });
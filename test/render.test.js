@@ -16,6 +16,10 @@ import { renderHtml } from '../src/render.js';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const html = (name, opts) =>
   renderHtml(buildModel(parseWsdl(readFileSync(join(__dirname, 'fixtures', name), 'utf8'))), opts);
+const typeBlock = (out, name) => {
+  const start = out.indexOf(`id="type-${name}"`);
+  return out.slice(start, out.indexOf('</details>', start));
+};
 
 describe('renderHtml()', () => {
   describe('page structure', () => {
@@ -110,9 +114,23 @@ describe('renderHtml()', () => {
       assert.ok(out.includes('>HALF_DOWN<'));
     });
 
+    it('should not add namespace headings when all types share one namespace', () => {
+      const section = out.slice(out.indexOf('id="types"'), out.indexOf('id="messages"'));
+      assert.ok(!section.includes('<h3>'));
+    });
+
     it('should render field documentation text', () => {
       assert.ok(out.includes('First operand'));
     });
+
+    it('should not note where types are defined by default', () => {
+      assert.ok(!out.includes('Defined in'));
+    });
+
+    it('should note the defining line with the sourceHints option', () => {
+      const hinted = html('calculator.wsdl', { sourceHints: true });
+      assert.ok(hinted.includes('<p><small>Defined in <code>line 24</code></small></p>'));
+    });
   });
 
   describe('operations section (calculator.wsdl)', () => {
@@ -213,6 +231,45 @@ describe('renderHtml()', () => {
     });
   });
 
+  describe('weather20.wsdl (WSDL 2.0)', () => {
+    const out = html('weather20.wsdl');
+
+    it('should render interface operations as articles', () => {
+      assert.ok(out.includes('<h3>GetForecast</h3>'));
+      assert.ok(out.includes('<h3>ReportReading</h3>'));
+    });
+
+    it('should expand the element-based input inline', () => {
+      const articleStart = out.indexOf('id="op-GetForecast"');
+      const articleEnd = out.indexOf('</article>', articleStart);
+      const article = out.slice(articleStart, articleEnd);
+      assert.ok(article.includes('<mark>city</mark>'));
+      assert.ok(article.includes('>days<'));
+    });
+
+    it('should render the endpoint addresses', () => {
+      assert.ok(out.includes('<code>http://example.com/weather/soap</code>'));
+    });
+
+    it('should render the method and location of an HTTP binding', () => {
+      const start = out.indexOf('<strong>WeatherHTTPBinding</strong>');
+      const binding = out.slice(start, out.indexOf('</details>', start));
+      assert.ok(binding.includes('<th>Operation</th><th>Method</th><th>Location</th>'));
+      assert.ok(
+        binding.includes(
+          '<tr><td>GetForecast</td><td><code>GET</code></td><td><code>forecast/{city}</code></td></tr>',
+        ),
+      );
+      assert.ok(!binding.includes('SOAPAction'));
+      assert.ok(!binding.includes('Transport:'));
+    });
+
+    it('should list inherited operations in the binding of an extending interface', () => {
+      const station = html('interface-extends.wsdl');
+      assert.ok(station.includes('<tr><td>Ping</td><td><code>POST</code></td><td></td></tr>'));
+    });
+  });
+
   describe('HTML escaping', () => {
     it('should escape angle brackets in service name', () => {
       const raw = parseWsdl(readFileSync(join(__dirname, 'fixtures', 'calculator.wsdl'), 'utf8'));
@@ -222,4 +279,487 @@ describe('renderHtml()', () => {
       assert.ok(out2.includes('&lt;script&gt;'));
     });
   });
+
+  describe('inheritance.wsdl – derived types', () => {
+    const out = html('inheritance.wsdl');
+
+    it('should give each type summary an anchor', () => {
+      assert.ok(out.includes('<summary id="type-Entity">'));
+      assert.ok(out.includes('<summary id="element-UpdateCustomer">'));
+    });
+
+    it('should link a derived type to its base', () => {
+      assert.ok(
+        typeBlock(out, 'Customer').includes(
+          '<small>extends <a href="#type-Entity"><code>Entity</code></a></small>',
+        ),
+      );
+    });
+
+    it('should mark restriction-derived types', () => {
+      assert.ok(
+        typeBlock(out, 'CustomerSummary').includes('<small>restricts <a href="#type-Customer">'),
+      );
+      assert.ok(typeBlock(out, 'Note').includes('<small>restricts <code>anyType</code></small>'));
+    });
+
+    it('should group inherited fields by the ancestor they come from', () => {
+      const block = typeBlock(out, 'PremiumCustomer');
+      const entity = block.indexOf('Inherited from <a href="#type-Entity">');
+      const customer = block.indexOf('Inherited from <a href="#type-Customer">');
+      assert.ok(entity !== -1 && customer > entity);
+      assert.ok(block.indexOf('<mark>id</mark>') > entity);
+      assert.ok(block.indexOf('<mark>name</mark>') > customer);
+      assert.ok(block.indexOf('<mark>tier</mark>') > block.indexOf('<mark>name</mark>'));
+      assert.equal((block.match(/<tbody>/g) ?? []).length, 3);
+    });
+
+    it('should not repeat the base content of a restriction', () => {
+      assert.ok(!typeBlock(out, 'CustomerSummary').includes('Inherited from'));
+    });
+
+    it('should expand inherited fields inline in operations', () => {
+      const start = out.indexOf('id="op-UpdateCustomer"');
+      const article = out.slice(start, out.indexOf('</article>', start));
+      assert.ok(article.includes('<mark>id</mark>'));
+      assert.ok(article.includes('>reason<'));
+    });
+  });
+
+  describe('attributes.wsdl – attributes', () => {
+    const out = html('attributes.wsdl');
+
+    it('should list attributes with an @ before their name', () => {
+      assert.ok(typeBlock(out, 'Order').includes('<td>@status</td>'));
+    });
+
+    it('should mark required attributes', () => {
+      assert.ok(
+        typeBlock(out, 'Order').includes('<td><mark>@id</mark></td><td><code>OrderId</code>'),
+      );
+    });
+
+    it('should list attributes before the elements', () => {
+      const block = typeBlock(out, 'Order');
+      assert.ok(block.indexOf('@createdBy') < block.indexOf('<mark>item</mark>'));
+    });
+
+    it('should note default, fixed and prohibited values', () => {
+      assert.ok(
+        typeBlock(out, 'Order').includes('<td><small>default <code>open</code></small></td>'),
+      );
+      assert.ok(typeBlock(out, 'Order').includes('<small>fixed <code>2</code></small>'));
+      assert.ok(
+        typeBlock(out, 'DraftOrder').includes('<td>0</td><td>0</td><td><small>prohibited</small>'),
+      );
+    });
+
+    it('should show inherited attributes under their ancestor', () => {
+      const block = typeBlock(out, 'ArchivedOrder');
+      assert.ok(block.indexOf('Inherited from') < block.indexOf('<mark>@id</mark>'));
+      assert.ok(block.includes('<mark>@archivedAt</mark>'));
+    });
+
+    it('should expand a part whose type has only attributes', () => {
+      const start = out.indexOf('id="op-GetOrder"');
+      const article = out.slice(start, out.indexOf('</article>', start));
+      assert.ok(!article.includes('no fields defined'));
+      assert.ok(article.includes('<mark>@id</mark>'));
+    });
+  });
+
+  describe('nested.wsdl – anonymous nested types', () => {
+    const out = html('nested.wsdl');
+    const start = out.indexOf('id="op-PlaceOrder"');
+    const article = out.slice(start, out.indexOf('</article>', start));
+
+    it('should mark a field of an anonymous type', () => {
+      assert.ok(article.includes('<td><mark>customer</mark></td><td><em>anonymous</em></td>'));
+    });
+
+    it('should render the anonymous type in a collapsible sub-table', () => {
+      assert.ok(
+        article.includes(
+          '<tr><td colspan="5"><details>\n<summary><small>Fields of <code>customer</code></small></summary>\n<table>',
+        ),
+      );
+    });
+
+    it('should nest sub-tables for deeper anonymous types', () => {
+      const customer = article.indexOf('Fields of <code>customer</code>');
+      const address = article.indexOf('Fields of <code>address</code>');
+      assert.ok(customer !== -1 && address > customer);
+      assert.ok(article.indexOf('<mark>street</mark>') > address);
+      assert.ok(article.indexOf('<td>@kind</td>') > address);
+    });
+
+    it('should show the base and inherited fields of an anonymous derived type', () => {
+      assert.ok(
+        article.includes(
+          '<em>anonymous</em> <small>extends <a href="#type-LineBase"><code>LineBase</code></a></small>',
+        ),
+      );
+      const line = article.indexOf('Fields of <code>line</code>');
+      assert.ok(article.indexOf('Inherited from <a href="#type-LineBase">', line) > line);
+    });
+
+    it('should not open a sub-table for an empty anonymous type', () => {
+      assert.ok(article.includes('<td>expedite</td><td><em>anonymous</em></td>'));
+      assert.ok(!article.includes('Fields of <code>expedite</code>'));
+    });
+  });
+
+  describe('refs.wsdl – element ref=', () => {
+    const out = html('refs.wsdl');
+    const start = out.indexOf('id="op-Register"');
+    const article = out.slice(start, out.indexOf('</article>', start));
+
+    it('should render a referenced element like a local one', () => {
+      assert.ok(
+        article.includes('<td><mark>customer</mark></td><td><code>customerType</code></td>'),
+      );
+      assert.ok(article.includes('Fields of <code>address</code>'));
+    });
+
+    it('should link a recursive reference to the element it refers to', () => {
+      assert.ok(
+        article.includes(
+          '<td>node</td><td><a href="#element-node"><code>node</code></a> <small>(element)</small></td>',
+        ),
+      );
+    });
+  });
+
+  describe('compositors.wsdl – nested compositors', () => {
+    const out = html('compositors.wsdl');
+    const start = out.indexOf('id="op-Pay"');
+    const article = out.slice(start, out.indexOf('</article>', start));
+
+    it('should render a choice as a "One of" group whose options are not required', () => {
+      assert.ok(
+        article.includes(
+          '<caption>One of</caption>\n<tbody><tr><td>cardNumber</td><td><code>string</code></td>',
+        ),
+      );
+    });
+
+    it('should render a sequence inside a choice as a group of its own', () => {
+      assert.ok(article.includes('<caption>Sequence</caption>\n<tbody><tr><td>accountNumber</td>'));
+    });
+
+    it('should mark optional and repeating groups', () => {
+      assert.ok(
+        article.includes(
+          '<caption>Sequence <small>optional</small></caption>\n<tbody><tr><td>note</td>',
+        ),
+      );
+      assert.ok(
+        article.includes('<caption>One of <small>repeated 0..unbounded times</small></caption>'),
+      );
+    });
+
+    it('should keep the fields of a plain sequence in place and in order', () => {
+      assert.ok(article.includes('<tbody><tr><td><mark>amount</mark></td>'));
+      assert.ok(
+        article.indexOf('<td><mark>currency</mark></td>') > article.indexOf('<td>label</td>'),
+      );
+    });
+
+    it('should render xs:all as an unordered group', () => {
+      const contact = out.slice(out.indexOf('id="type-Contact"'));
+      assert.ok(
+        contact.includes(
+          '<caption>All of, in any order</caption>\n<tbody><tr><td><mark>email</mark></td>',
+        ),
+      );
+    });
+
+    it('should render the choice of a type used by a message part', () => {
+      const start = out.indexOf('id="type-Identifier"');
+      const identifier = out.slice(start, out.indexOf('</details>', start));
+      assert.ok(identifier.includes('<caption>One of</caption>\n<tbody><tr><td>passport</td>'));
+    });
+  });
+
+  describe('groups.wsdl – model groups', () => {
+    const out = html('groups.wsdl');
+    const start = out.indexOf('id="op-PlaceOrder"');
+    const article = out.slice(start, out.indexOf('</article>', start));
+
+    it('should caption the fields of a group with a link to the group', () => {
+      assert.ok(
+        article.includes(
+          '<caption>Sequence <small>from group <a href="#group-AuditFields"><code>AuditFields</code></a></small></caption>\n' +
+            '<tbody><tr><td><mark>createdBy</mark></td>',
+        ),
+      );
+    });
+
+    it('should note the occurrence of an optional group reference', () => {
+      assert.ok(
+        article.includes(
+          '<caption>One of <small>from group <a href="#group-ContactChoice"><code>ContactChoice</code></a> · optional</small></caption>',
+        ),
+      );
+    });
+
+    it('should list groups in the Types section', () => {
+      assert.ok(
+        out.includes(
+          '<summary id="group-AuditFields"><strong>AuditFields</strong> <small>group</small></summary>',
+        ),
+      );
+      assert.ok(out.includes('<blockquote><p>Who created a record, and when.</p></blockquote>'));
+    });
+
+    it('should show a recursive group reference as a link to the group', () => {
+      const start = out.indexOf('id="group-Node"');
+      const node = out.slice(start, out.indexOf('</details>\n</td>', start));
+      assert.ok(node.includes('Fields of <code>child</code>'));
+      assert.ok(node.includes('from group <a href="#group-Node"><code>Node</code></a>'));
+    });
+  });
+
+  describe('simple-types.wsdl – simpleType constraints', () => {
+    const out = html('simple-types.wsdl');
+
+    it('should label a simpleType by what it is rather than always "enum"', () => {
+      assert.ok(typeBlock(out, 'CountryCode').includes('<small>simple type</small>'));
+      assert.ok(typeBlock(out, 'Currency').includes('<small>enum</small>'));
+      assert.ok(typeBlock(out, 'CurrencyList').includes('<small>list</small>'));
+      assert.ok(typeBlock(out, 'Quantity').includes('<small>union</small>'));
+    });
+
+    it('should link the base of a restriction', () => {
+      assert.ok(
+        typeBlock(out, 'Percentage').includes(
+          '<small>restricts <a href="#type-Amount"><code>Amount</code></a></small>',
+        ),
+      );
+    });
+
+    it('should summarise the facets one per line', () => {
+      assert.ok(
+        typeBlock(out, 'CountryCode').includes(
+          '<ul><li>Matches <code>[A-Z]{2}</code></li><li>Length exactly <code>2</code></li></ul>',
+        ),
+      );
+      assert.ok(typeBlock(out, 'Amount').includes('<li>Less than <code>1000000</code></li>'));
+      assert.ok(
+        typeBlock(out, 'Amount').includes('<li>At most <code>2</code> fraction digits</li>'),
+      );
+    });
+
+    it('should list the allowed values after the other facets', () => {
+      assert.ok(
+        typeBlock(out, 'Currency').includes(
+          '</ul>\n<p>One of:</p>\n<ul><li><code>GBP</code></li><li><code>EUR</code></li>',
+        ),
+      );
+    });
+
+    it('should describe the items of a list and the members of a union', () => {
+      assert.ok(
+        typeBlock(out, 'CurrencyList').includes(
+          'A whitespace-separated list of <a href="#type-Currency"><code>Currency</code></a>',
+        ),
+      );
+      assert.ok(
+        typeBlock(out, 'SizeList').includes(
+          '<em>anonymous</em> <small>restricts <code>string</code></small><ul><li><code>S</code></li>',
+        ),
+      );
+      assert.ok(
+        typeBlock(out, 'Quantity').includes(
+          'A value of any one of <code>positiveInteger</code>, <a href="#type-Unlimited"><code>Unlimited</code></a>, <em>anonymous</em>',
+        ),
+      );
+    });
+
+    it('should say when a simpleType has no constraints', () => {
+      assert.ok(typeBlock(out, 'Reference').includes('<p><em>No constraints.</em></p>'));
+      assert.ok(!out.includes('No values.'));
+    });
+  });
+
+  describe('simple-content.wsdl – simpleContent', () => {
+    const out = html('simple-content.wsdl');
+
+    it('should describe the value and name the attributes', () => {
+      assert.ok(
+        typeBlock(out, 'Amount').includes(
+          '<p><code>decimal</code> value with attributes: <code>currency</code></p>',
+        ),
+      );
+      assert.ok(typeBlock(out, 'Amount').includes('<td><mark>@currency</mark></td>'));
+      assert.ok(!typeBlock(out, 'Amount').includes('No fields.'));
+    });
+
+    it('should name the built-in value type of a derived type, with inherited attributes', () => {
+      assert.ok(
+        typeBlock(out, 'TaxedAmount').includes(
+          '<p><code>decimal</code> value with attributes: <code>currency</code>, <code>rate</code></p>',
+        ),
+      );
+    });
+
+    it('should list the facets of a restricted value, keeping the base attributes', () => {
+      assert.ok(
+        typeBlock(out, 'SmallAmount').includes(
+          '<p><code>decimal</code> value with attributes: <code>currency</code></p>\n' +
+            '<ul><li>At most <code>100</code></li>',
+        ),
+      );
+    });
+
+    it('should leave out the attribute table when there are no attributes', () => {
+      assert.ok(typeBlock(out, 'Label').includes('<p><code>string</code> value</p>'));
+      assert.ok(!typeBlock(out, 'Label').includes('<table>'));
+    });
+
+    it('should describe the value of an anonymous field type', () => {
+      const start = out.indexOf('id="op-Post"');
+      const article = out.slice(start, out.indexOf('</article>', start));
+      assert.ok(
+        article.includes(
+          '<summary><small>Fields of <code>quantity</code></small></summary>\n' +
+            '<p><code>int</code> value with attributes: <code>unit</code></p>',
+        ),
+      );
+    });
+  });
+
+  describe('substitution.wsdl – badges and substitution groups', () => {
+    const out = html('substitution.wsdl');
+    const start = out.indexOf('id="op-Pay"');
+    const article = out.slice(start, out.indexOf('</article>', start));
+
+    it('should show nillable, default, fixed and form as badges', () => {
+      assert.ok(
+        article.includes(
+          '<td><mark>reference</mark></td><td><code>string</code></td><td>1</td><td>1</td><td><small>nillable</small></td>',
+        ),
+      );
+      assert.ok(article.includes('<td><small>default <code>web</code></small></td>'));
+      assert.ok(article.includes('<td><small>fixed <code>2</code></small></td>'));
+      assert.ok(article.includes('<td><small>form <code>unqualified</code></small></td>'));
+    });
+
+    it('should list the elements that can appear in place of an abstract element', () => {
+      assert.ok(
+        article.includes(
+          '<small>abstract · appears as <code>card</code>, <a href="#element-sepaTransfer"><code>sepaTransfer</code></a></small>',
+        ),
+      );
+    });
+
+    it('should badge abstract, final and block types', () => {
+      assert.ok(
+        out.includes('<strong>PaymentMethod</strong> <small>type</small> <small>abstract</small>'),
+      );
+      assert.ok(
+        out.includes(
+          '<strong>Card</strong> <small>type</small> <small>final <code>#all</code> · block <code>extension</code></small>',
+        ),
+      );
+    });
+
+    it('should note the substitution group of an element and its members', () => {
+      assert.ok(
+        out.includes(
+          '<p><small>substitutes for <code>method</code> · appears as <a href="#element-sepaTransfer"><code>sepaTransfer</code></a></small></p>',
+        ),
+      );
+      assert.ok(
+        out.includes(
+          '<p><small>substitutes for <a href="#element-transfer"><code>transfer</code></a></small></p>',
+        ),
+      );
+    });
+  });
+
+  describe('wildcards.wsdl – xs:any and xs:anyAttribute', () => {
+    const out = html('wildcards.wsdl');
+    const start = out.indexOf('id="op-Submit"');
+    const article = out.slice(start, out.indexOf('</article>', start));
+
+    it('should render an element wildcard as a row of its own', () => {
+      assert.ok(
+        out.includes(
+          '<tr><td><em>any element</em></td><td>from any other namespace</td><td>0</td><td>unbounded</td><td><small>processContents <code>lax</code></small> Vendor extensions.</td></tr>',
+        ),
+      );
+    });
+
+    it('should mark a required wildcard unless a choice holds it', () => {
+      assert.ok(
+        article.includes(
+          '<tr><td><em>any element</em></td><td>from any namespace</td><td>1</td><td>1</td>',
+        ),
+      );
+    });
+
+    it('should render an attribute wildcard with the namespaces it accepts', () => {
+      assert.ok(
+        article.includes(
+          '<tr><td><em>any attribute</em></td><td>from the target namespace, no namespace</td><td>0</td><td>unbounded</td><td><small>processContents <code>strict</code></small></td></tr>',
+        ),
+      );
+      assert.ok(
+        out.includes(
+          '<td>from any other namespace, <code>urn:example:meta</code></td><td>0</td><td>unbounded</td><td><small>processContents <code>skip</code></small></td>',
+        ),
+      );
+    });
+
+    it('should list inherited wildcards under their base type', () => {
+      const details = out.slice(out.indexOf('id="type-Order"'));
+      const inherited = details.slice(
+        details.indexOf('Inherited from'),
+        details.indexOf('</tbody>'),
+      );
+      assert.ok(inherited.includes('<em>any element</em>'));
+      assert.ok(inherited.includes('<em>any attribute</em>'));
+    });
+  });
+
+  describe('transmission.wsdl – operation transmission patterns', () => {
+    const out = html('transmission.wsdl');
+    const article = (name) => {
+      const start = out.indexOf(`id="op-${name}"`);
+      return out.slice(start, out.indexOf('</article>', start));
+    };
+
+    it('should label each operation with its transmission pattern', () => {
+      assert.ok(article('Subscribe').includes('<p><small>one-way</small></p>'));
+      assert.ok(article('ConfirmAlert').includes('<p><small>solicit-response</small></p>'));
+      assert.ok(article('PriceChanged').includes('<p><small>notification</small></p>'));
+    });
+
+    it('should note the parameter order next to the pattern', () => {
+      assert.ok(
+        article('GetQuote').includes(
+          '<p><small>request-response · parameter order: <code>currency</code>, <code>symbol</code></small></p>',
+        ),
+      );
+    });
+
+    it('should not render a heading for a message the operation does not have', () => {
+      assert.ok(!article('Subscribe').includes('<h4>Output'));
+      assert.ok(!article('PriceChanged').includes('<h4>Input'));
+    });
+
+    it('should render the output first for a solicit-response operation', () => {
+      const confirm = article('ConfirmAlert');
+      assert.ok(confirm.indexOf('<h4>Output') < confirm.indexOf('<h4>Input'));
+    });
+
+    it('should label WSDL 2.0 operations by their pattern', () => {
+      const weather = html('weather20.wsdl');
+      const start = weather.indexOf('id="op-ReportReading"');
+      const reading = weather.slice(start, weather.indexOf('</article>', start));
+      assert.ok(reading.includes('<p><small>one-way</small></p>'));
+      assert.ok(!reading.includes('<h4>Output'));
+    });
+  });
 });
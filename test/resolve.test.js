@@ -11,7 +11,13 @@ import { join, dirname } from 'node:path';
 
 import { parseWsdl } from '../src/parse.js';
 import { buildModel } from '../src/model.js';
-import { buildIndex, resolveMessageFields } from '../src/resolve.js';
+import {
+  buildIndex,
+  inheritedFields,
+  resolveMessageFields,
+  substitutionMembers,
+  valueType,
+} from '../src/resolve.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const model = (name) =>
@@ -44,6 +50,16 @@ describe('buildIndex()', () => {
       assert.equal(index.typeByName.get('NonExistent'), undefined);
     });
   });
+
+  describe('groups.wsdl', () => {
+    const index = buildIndex(model('groups.wsdl'));
+
+    it('should look up a model group by qualified name, apart from the types', () => {
+      const key = '{http://example.com/orders}AuditFields';
+      assert.equal(index.groupByQName.get(key).kind, 'group');
+      assert.equal(index.typeByQName.get(key), undefined);
+    });
+  });
 });
 
 describe('resolveMessageFields()', () => {
@@ -104,3 +120,178 @@ describe('resolveMessageFields()', () => {
     });
   });
 });
+
+describe('inheritedFields()', () => {
+  const m = model('inheritance.wsdl');
+  const index = buildIndex(m);
+  const type = (name) => m.types.find((t) => t.name === name);
+  const names = (groups) => groups.map((g) => [g.type.name, g.fields.map((f) => f.name)]);
+
+  it('should return the fields of every ancestor, root first', () => {
+    assert.deepEqual(names(inheritedFields(type('PremiumCustomer'), index)), [
+      ['Entity', ['id', 'createdAt']],
+      ['Customer', ['name', 'email']],
+    ]);
+  });
+
+  it('should inherit nothing through a restriction', () => {
+    assert.deepEqual(inheritedFields(type('CustomerSummary'), index), []);
+  });
+
+  it('should stop at a base that is not in the model', () => {
+    assert.deepEqual(inheritedFields(type('Note'), index), []);
+  });
+
+  it('should stop at a restriction-derived ancestor', () => {
+    assert.deepEqual(names(inheritedFields(type('ArchivedSummary'), index)), [
+      ['CustomerSummary', ['id', 'name']],
+    ]);
+  });
+
+  it('should not loop on a cyclic derivation', () => {
+    const a = {
+      name: 'A',
+      namespace: '',
+      fields: [],
+      derivation: 'extension',
+      baseRef: { namespace: '', localName: 'B' },
+    };
+    const b = {
+      name: 'B',
+      namespace: '',
+      fields: [],
+      derivation: 'extension',
+      baseRef: { namespace: '', localName: 'A' },
+    };
+    const cyclic = buildIndex({ types: [a, b], elements: [], messages: [] });
+    assert.deepEqual(names(inheritedFields(a, cyclic)), [['B', []]]);
+  });
+
+  it('should include inherited fields in resolved message parts', () => {
+    const [part] = resolveMessageFields('UpdateCustomerResponse', index);
+    assert.deepEqual(
+      part.fields.map((f) => f.name),
+      ['id', 'createdAt', 'name', 'email', 'tier'],
+    );
+  });
+});
+
+describe('resolveMessageFields() – attributes', () => {
+  const index = buildIndex(model('attributes.wsdl'));
+
+  it('should return the attributes of a part, inherited ones first', () => {
+    const [part] = resolveMessageFields('GetOrderResponse', index);
+    assert.equal(part.attributes[0].name, 'id');
+    assert.equal(part.attributes.at(-1).name, 'archivedAt');
+    assert.deepEqual(
+      part.fields.map((f) => f.name),
+      ['item'],
+    );
+  });
+
+  it('should return the attributes of a type without elements', () => {
+    const [part] = resolveMessageFields('GetOrderRequest', index);
+    assert.deepEqual(part.fields, []);
+    assert.deepEqual(
+      part.attributes.map((a) => a.name),
+      ['id'],
+    );
+  });
+});
+
+describe('resolveMessageFields() – compositors', () => {
+  it('should return the content tree of a part', () => {
+    const [part] = resolveMessageFields('PayRequest', buildIndex(model('compositors.wsdl')));
+    assert.equal(part.content.compositor, 'sequence');
+    assert.deepEqual(
+      part.content.items.map((item) => item.compositor ?? item.name),
+      ['amount', 'choice', 'sequence', 'choice', 'currency'],
+    );
+  });
+
+  it('should wrap inherited content in a sequence, root first', () => {
+    const [part] = resolveMessageFields(
+      'UpdateCustomerResponse',
+      buildIndex(model('inheritance.wsdl')),
+    );
+    assert.equal(part.content.compositor, 'sequence');
+    assert.deepEqual(
+      part.content.items.map((item) => item.items.map((f) => f.name)),
+      [['id', 'createdAt'], ['name', 'email'], ['tier']],
+    );
+  });
+});
+
+describe('valueType()', () => {
+  const m = model('simple-content.wsdl');
+  const index = buildIndex(m);
+  const type = (name) => m.types.find((t) => t.name === name);
+
+  it('should name the base of a type with simple content', () => {
+    assert.deepEqual(valueType(type('Amount'), index), {
+      name: 'decimal',
+      ref: { namespace: 'http://www.w3.org/2001/XMLSchema', localName: 'decimal' },
+    });
+  });
+
+  it('should follow bases that have simple content themselves', () => {
+    assert.equal(valueType(type('TaxedAmount'), index).name, 'decimal');
+    assert.equal(valueType(type('SmallAmount'), index).name, 'decimal');
+  });
+
+  it('should inherit the attributes of a simpleContent extension', () => {
+    assert.deepEqual(
+      inheritedFields(type('TaxedAmount'), index).map((g) => g.attributes.map((a) => a.name)),
+      [['currency']],
+    );
+  });
+});
+
+describe('inheritedFields() – restriction-attributes.wsdl', () => {
+  const m = model('restriction-attributes.wsdl');
+  const index = buildIndex(m);
+  const type = (name) => m.types.find((t) => t.name === name);
+  const shape = (groups) =>
+    groups.map((g) => [g.type.name, g.fields.map((f) => f.name), g.attributes.map((a) => a.name)]);
+
+  it('should carry the attributes a restriction does not restate', () => {
+    assert.deepEqual(shape(inheritedFields(type('PublishedDocument'), index)), [
+      ['Document', [], ['id']],
+    ]);
+  });
+
+  it('should keep the restated content and attributes of a restricted ancestor', () => {
+    assert.deepEqual(shape(inheritedFields(type('Digest'), index)), [
+      ['Document', [], ['id']],
+      ['PublishedDocument', ['title', 'body'], ['lang', 'draft']],
+    ]);
+  });
+
+  it('should resolve a message part with the base attributes a restriction keeps', () => {
+    const [part] = resolveMessageFields('PublishRequest', index);
+    assert.deepEqual(
+      part.attributes.map((a) => [a.name, a.use]),
+      [
+        ['id', 'required'],
+        ['lang', 'required'],
+        ['draft', 'prohibited'],
+      ],
+    );
+  });
+});
+
+describe('substitutionMembers()', () => {
+  const index = buildIndex(model('substitution.wsdl'));
+  const ref = (localName) => ({ namespace: 'http://example.com/pay', localName });
+
+  it('should list the concrete members of a substitution group, transitively', () => {
+    assert.deepEqual(
+      substitutionMembers(ref('method'), index).map((el) => el.name),
+      ['card', 'sepaTransfer'],
+    );
+  });
+
+  it('should return nothing for an element without a substitution group', () => {
+    assert.deepEqual(substitutionMembers(ref('card'), index), []);
+  });
+});